@@ -1,7 +1,22 @@
 // Configuration & constant patterns for Mini Explorer (ES module)
 export const TAG = '[MiniExplorer]'
-export const CANDIDATE_LINE_REGEX =
-  /(rolled|got|gave|and got|wants to give|placed a|built a|bought|discarded|stole|took from bank|received starting resources)/i
+// Development card names: log text or card image basename -> card type
+export const DEV_CARD_HINTS = {
+  knight: /knight/i,
+  monopoly: /monopoly/i,
+  year_of_plenty: /year[\s_]*of[\s_]*plenty/i,
+  road_building: /road[\s_]*building/i
+}
+// "used" only as a dev card play: followed by a card name, or by nothing but
+// the card image (the line text ends there), so chat lines saying "used"
+// aren't candidates
+const DEV_CARD_USED = `\\bused(?=\\s*$|\\s+(?:${Object.values(DEV_CARD_HINTS)
+  .map(re => re.source)
+  .join('|')}))`
+export const CANDIDATE_LINE_REGEX = new RegExp(
+  `(rolled|got|gave|and got|wants to give|placed a|built a|bought|${DEV_CARD_USED}|discarded|stole|took from bank|received starting resources|longest road|largest army)`,
+  'i'
+)
 export const IMAGE_HINTS = {
   wood: /card_lumber/i,
   brick: /card_brick/i,
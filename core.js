@@ -0,0 +1,378 @@
+// Tracker core
+// ------------
+// `createExplorer` builds one isolated tracker: its own state modules,
+// journal, dedup memory, coverage counters, reducer and line scanner.
+// Nothing here touches `window` or the overlay; rendering goes through an
+// injectable `renderer` (see createOverlayRenderer in ui/overlay.js), so
+// several trackers can run side by side (tests, offline replay, other tools).
+
+import { CANDIDATE_LINE_REGEX } from './config.js'
+import { log, warn } from './logger.js'
+import { watchLog } from './dom.js'
+import { createDedup } from './dedup.js'
+import { createCoverage } from './coverage.js'
+import { eventParsers, parseLine } from './parsers.js'
+import { createScanner } from './scan.js'
+import { createReducer } from './reducer.js'
+import { createHands } from './state/hands.js'
+import { createPlayers } from './state/players.js'
+import { createHarbors } from './state/harbors.js'
+import { createFlows } from './state/flows.js'
+import { createDevPlays } from './state/devplays.js'
+import { createDevCards } from './state/devcards.js'
+import { createVictory } from './state/victory.js'
+import { createPieces } from './state/pieces.js'
+import { createTurns } from './state/turns.js'
+import { createProduction } from './state/production.js'
+import { createJournal } from './state/journal.js'
+import { createDice } from './state/dice.js'
+import { createIdentity } from './state/identity.js'
+
+// Fresh set of state modules, wired to each other where they depend
+export function createState () {
+  const hands = createHands()
+  const devplays = createDevPlays()
+  const devcards = createDevCards(devplays)
+  return {
+    hands,
+    players: createPlayers(hands),
+    harbors: createHarbors(),
+    flows: createFlows(),
+    devplays,
+    devcards,
+    victory: createVictory(devplays, devcards),
+    pieces: createPieces(),
+    turns: createTurns(),
+    production: createProduction(),
+    dice: createDice(),
+    identity: createIdentity()
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Node} [options.root]  where log lines are scanned / observed
+ * @param {(entry: any) => void} [options.onEvent]  after each journaled event
+ * @param {(lineText: string, node: Node) => void} [options.onUnparsed]
+ *   candidate line no parser claimed
+ * @param {{ render: Function, renderScrubber?: Function }} [options.renderer]
+ *   draws view() (and the time-travel position); omit for headless use
+ */
+export function createExplorer ({
+  root = document,
+  onEvent,
+  onUnparsed,
+  renderer
+} = {}) {
+  const state = createState()
+  const journal = createJournal()
+  const dedup = createDedup()
+  const coverage = createCoverage()
+  const reducer = createReducer(state, journal)
+  const { rebuildState } = reducer
+  let stopWatching = null
+  // Parser priority list (built-ins + plugins) and event subscriptions
+  const parsers = [...eventParsers]
+  /** @type {RegExp[]} extra candidate line patterns from plugins */
+  const candidates = []
+  /** @type {Map<string, Set<(entry: any) => void>>} */
+  const listeners = new Map()
+
+  // Journal the event, fold it into state and schedule a re-render. While the
+  // view is rewound (time travel) state stays live but the display is left
+  // alone.
+  function apply (evt) {
+    const entry = journal.appendEvent(evt)
+    // Once "You" is identified, refold so earlier "You" events move over
+    if (state.identity.learn(entry)) rebuildState()
+    else reducer.reduceEvent(entry)
+    if (onEvent) onEvent(entry)
+    emit(entry)
+    scheduleDraw()
+  }
+
+  // At most one redraw per animation frame, however many events arrive
+  let frame = null
+  function scheduleDraw () {
+    if (!renderer || frame !== null) return
+    const nextFrame =
+      typeof requestAnimationFrame === 'function'
+        ? requestAnimationFrame
+        : fn => setTimeout(fn, 16)
+    frame = nextFrame(() => {
+      frame = null
+      if (viewPosition === null) draw()
+      renderScrubberState()
+    })
+  }
+
+  const scanner = createScanner({
+    dedup,
+    // Every new candidate line is counted for coverage; unclaimed lines
+    // redraw too (the diagnostics section lists them)
+    parse: (lineText, node) => {
+      const evt = parseLine(lineText, node, parsers)
+      coverage.recordLine(lineText, node, evt)
+      if (!evt) scheduleDraw()
+      return evt
+    },
+    isCandidate: t =>
+      CANDIDATE_LINE_REGEX.test(t) || candidates.some(re => re.test(t)),
+    apply,
+    unparsed: onUnparsed
+  })
+
+  // --- Plugins ---------------------------------------------------------------
+
+  // Parser by function or by name ('parseGotEvent'); -1 when unknown
+  function parserIndex (ref) {
+    return parsers.findIndex(p => p === ref || p.name === ref)
+  }
+
+  // Add a parser `(lineText, node) -> event | null`. Without a position it
+  // runs last; `before` / `after` name an existing parser (function or name).
+  // Only candidate lines reach parsers: `candidates` (RegExp) adds lines the
+  // built-in CANDIDATE_LINE_REGEX skips. Returns a function that unregisters.
+  function registerParser (fn, { before, after, candidates: extra } = {}) {
+    if (typeof fn !== 'function') {
+      warn('registerParser: not a function', fn)
+      return () => {}
+    }
+    const anchor = before ?? after
+    let at = parsers.length
+    if (anchor != null) {
+      const i = parserIndex(anchor)
+      if (i < 0) warn('registerParser: unknown anchor', anchor, '- appending')
+      else at = before != null ? i : i + 1
+    }
+    parsers.splice(at, 0, fn)
+    if (extra instanceof RegExp) candidates.push(extra)
+    return () => {
+      const i = parsers.indexOf(fn)
+      if (i >= 0) parsers.splice(i, 1)
+      const j = candidates.indexOf(extra)
+      if (j >= 0) candidates.splice(j, 1)
+    }
+  }
+
+  // Subscribe to journaled events of `type` ('got', 'steal', ...) or '*' for
+  // all. Only live events are delivered, not journal replays. Returns off().
+  function on (type, handler) {
+    if (!listeners.has(type)) listeners.set(type, new Set())
+    listeners.get(type)?.add(handler)
+    return () => off(type, handler)
+  }
+
+  function off (type, handler) {
+    listeners.get(type)?.delete(handler)
+  }
+
+  function emit (entry) {
+    for (const key of [entry.type, '*']) {
+      for (const handler of listeners.get(key) || []) {
+        try {
+          handler(entry)
+        } catch (e) {
+          warn('event handler failed for', entry.type, e)
+        }
+      }
+    }
+  }
+
+  // Everything a renderer draws, derived from the live state
+  function view () {
+    return viewOf(state, reducer)
+  }
+
+  function viewOf (source, sourceReducer) {
+    return {
+      rows: sourceReducer.overlayRows(),
+      meta: sourceReducer.overlayMeta(),
+      dice: source.dice.getDiceCounts(),
+      diceSummary: sourceReducer.diceSummary(),
+      diceRows: sourceReducer.diceRows(),
+      production: sourceReducer.productionRows(),
+      turns: source.turns.recentTurns(),
+      coverage: coverage.coverageReport()
+    }
+  }
+
+  // Draw the live view, or the rewound one while time traveling
+  function draw () {
+    if (!renderer) return
+    renderer.render(
+      viewPosition === null ? view() : viewOf(historyState, historyReducer)
+    )
+  }
+
+  // Redraw the current view (live or rewound) and the scrubber
+  function render () {
+    if (viewPosition !== null) return seek(viewPosition)
+    draw()
+    renderScrubberState()
+  }
+
+  // --- Time travel ---------------------------------------------------------
+  // null = live view; otherwise the number of journal events on display. The
+  // historic view is a partial fold into a second set of state modules, so
+  // live state (and live tracking) is never touched. That fold is kept
+  // between seeks: stepping forward only folds the events in between.
+  let viewPosition = null
+  const historyState = createState()
+  const historyReducer = createReducer(historyState, journal)
+  /** @type {number | null} journal events folded into historyState */
+  let historyAt = null
+  // Journal events the history identity has seen
+  let historyLearned = 0
+
+  function foldHistory (position) {
+    const events = journal.journalEvents()
+    // Identity comes from the whole journal: events journaled since the last
+    // fold may name the local player, which calls for a refold
+    let identified = false
+    for (const evt of events.slice(historyLearned)) {
+      if (historyState.identity.learn(evt)) identified = true
+    }
+    historyLearned = events.length
+    if (identified || historyAt === null || position < historyAt) {
+      historyReducer.rebuildState(events.slice(0, position))
+    } else {
+      historyReducer.foldEvents(events.slice(historyAt, position))
+    }
+    historyAt = position
+  }
+
+  // The journal was replaced or refolded: the next seek starts over
+  function resetHistory () {
+    historyState.identity.clearIdentity()
+    historyAt = null
+    historyLearned = 0
+  }
+
+  function seek (position) {
+    const length = journal.journalLength()
+    viewPosition =
+      position == null || position >= length ? null : Math.max(0, position)
+    if (viewPosition !== null) foldHistory(viewPosition)
+    draw()
+    renderScrubberState()
+  }
+
+  // Journal positions right before each dice roll (turn boundaries)
+  function turnStarts () {
+    const starts = []
+    journal.journalEvents().forEach((e, i) => {
+      if (e.type === 'dice_roll') starts.push(i)
+    })
+    return starts
+  }
+
+  function step (kind) {
+    const length = journal.journalLength()
+    const pos = viewPosition ?? length
+    switch (kind) {
+      case 'back':
+        return seek(pos - 1)
+      case 'forward':
+        return seek(pos + 1)
+      case 'turn-back': {
+        const prev = turnStarts().filter(i => i < pos)
+        return seek(prev.length ? prev[prev.length - 1] : 0)
+      }
+      case 'turn-forward': {
+        const next = turnStarts().find(i => i > pos)
+        return seek(next ?? null)
+      }
+      default:
+        return seek(null)
+    }
+  }
+
+  // { position, length, turn, live } for the scrubber
+  function position () {
+    const length = journal.journalLength()
+    const current = viewPosition ?? length
+    return {
+      position: current,
+      length,
+      live: viewPosition === null,
+      turn: turnStarts().filter(i => i < current).length
+    }
+  }
+
+  function renderScrubberState () {
+    if (renderer && renderer.renderScrubber) {
+      renderer.renderScrubber(position())
+    }
+  }
+
+  // --- Lifecycle -----------------------------------------------------------
+
+  // Replace the journal (saved / imported game) and re-derive everything
+  function load (events) {
+    journal.loadJournal(events)
+    state.identity.clearIdentity()
+    rebuildState()
+    resetHistory()
+    viewPosition = null
+    render()
+  }
+
+  function rebuild () {
+    rebuildState()
+    resetHistory()
+    render()
+    log('rebuilt state from journal:', journal.journalLength(), 'events')
+  }
+
+  function clear () {
+    journal.clearJournal()
+    reducer.clearState()
+    state.identity.clearIdentity()
+    dedup.clearSignatures()
+    coverage.clearCoverage()
+    resetHistory()
+    viewPosition = null
+    render()
+  }
+
+  // Find the log container under `root`, scan its lines, then follow new ones
+  function start () {
+    if (stopWatching) return
+    stopWatching = watchLog(root, {
+      isLine: scanner.isLogLine,
+      onContainer: scanner.initialScan,
+      processNode: scanner.processNode
+    })
+  }
+
+  function stop () {
+    if (stopWatching) stopWatching()
+    stopWatching = null
+  }
+
+  return {
+    state,
+    journal,
+    dedup,
+    processNode: scanner.processNode,
+    apply,
+    registerParser,
+    parsers: () => parsers.map(p => p.name || '(anonymous)'),
+    on,
+    off,
+    start,
+    stop,
+    load,
+    rebuild,
+    clear,
+    seek,
+    step,
+    position,
+    render,
+    view,
+    stats: reducer.exportStats,
+    coverage: coverage.coverageReport,
+    snapshot: state.players.snapshot
+  }
+}
@@ -0,0 +1,80 @@
+// Parser coverage diagnostics
+// ---------------------------
+// Every new candidate line (after dedup) is counted by the keyword that made
+// it a candidate (CANDIDATE_LINE_REGEX), split into lines a parser claimed
+// and lines none did. Recent unclaimed lines are kept with their image
+// basenames, so a change in Colonist's log wording or asset names shows up
+// as a keyword whose misses suddenly climb.
+
+import { CANDIDATE_LINE_REGEX } from './config.js'
+import { imageBasenames } from './parsers.js'
+
+// Unclaimed line samples kept (most recent)
+const MAX_SAMPLES = 25
+
+// Keyword a candidate line matched ("got", "stole", ...); lines admitted by a
+// plugin's candidate pattern count as "other"
+export function lineKeyword (lineText) {
+  const m = lineText.match(CANDIDATE_LINE_REGEX)
+  return m ? m[1].toLowerCase() : 'other'
+}
+
+/** @typedef {{ keyword: string, matched: number, unmatched: number }} KeywordCoverage */
+/** @typedef {{ text: string, keyword: string, images: string[], ts: number }} UnmatchedSample */
+
+// Coverage counters for one tracker instance
+export function createCoverage () {
+  /** @type {Map<string, KeywordCoverage>} */
+  const byKeyword = new Map()
+  /** @type {UnmatchedSample[]} */
+  const samples = []
+
+  // Count one candidate line; `evt` is the parsed event or null
+  function recordLine (lineText, node, evt) {
+    const keyword = lineKeyword(lineText)
+    if (!byKeyword.has(keyword)) {
+      byKeyword.set(keyword, { keyword, matched: 0, unmatched: 0 })
+    }
+    const row = /** @type {KeywordCoverage} */ (byKeyword.get(keyword))
+    if (evt) {
+      row.matched++
+      return
+    }
+    row.unmatched++
+    samples.push({
+      text: lineText,
+      keyword,
+      images: imageBasenames(node),
+      ts: Date.now()
+    })
+    if (samples.length > MAX_SAMPLES) samples.shift()
+  }
+
+  // { lines, matched, unmatched, keywords (most misses first), samples
+  // (newest first) }
+  function coverageReport () {
+    const keywords = [...byKeyword.values()]
+      .map(r => ({ ...r, rate: r.matched / (r.matched + r.unmatched) }))
+      .sort((a, b) => b.unmatched - a.unmatched || b.matched - a.matched)
+    const matched = keywords.reduce((a, r) => a + r.matched, 0)
+    const unmatched = keywords.reduce((a, r) => a + r.unmatched, 0)
+    return {
+      lines: matched + unmatched,
+      matched,
+      unmatched,
+      keywords,
+      samples: [...samples].reverse()
+    }
+  }
+
+  function clearCoverage () {
+    byKeyword.clear()
+    samples.length = 0
+  }
+
+  return {
+    recordLine,
+    coverageReport,
+    clearCoverage
+  }
+}
@@ -2,22 +2,26 @@
 // ------------------------------------
 // We generate a stable content signature for each "log line" DOM node:
 //   signature = text + sorted image basenames (hashes stripped)
-// Historically we used a simple Set to suppress any signature after first
-// sight which incorrectly filtered legitimate game repeats (e.g. a player
-// getting the same resource on different dice rolls). A time‑window approach
-// was rejected; DOM identity proved unstable. Final strategy combines:
-//   1. Global signature set (for cheap first-seen tracking)
-//   2. Contextual sibling pair set: prevSig >> currentSig
-// We treat a line as a duplicate ONLY if:
-//   - We've seen its signature before AND
-//   - We've already seen the exact adjacent pair (prevSig >> currentSig)
-// This allows identical lines to be processed again when their surrounding
-// context differs (true new event) while still suppressing duplicates from
-// virtualization re-renders where the same block of lines reappears intact.
-// If no previous candidate sibling exists, we fall back to global suppression.
-
-const processedLineSignatures = new Set()
-const processedAdjacentPairs = new Set() // "prevSig>>currentSig"
+// The game log is one ever-growing sequence of lines; what the page shows is
+// a sliding window over it that gets re-rendered (virtualization, tab
+// switches, reconnects). Signatures alone can't tell a re-rendered line from
+// a genuine repeat (same resource on two rolls), and DOM identity is not
+// stable. So every line we accept is appended to a processed sequence, and
+// each time a line shows up its visible window (the candidate lines around
+// it, in order) is aligned against that sequence:
+//   - window found whole inside the sequence -> every line in it is old
+//   - otherwise the longest window prefix that ends the sequence is old and
+//     everything after it is new (the log grew past what we processed)
+//   - no overlap at all -> the whole window is new
+// A line is new iff it sits past the aligned part. A window of one repeated
+// line (a single line, or the same "got" line a few times once the list has
+// virtualized) is found whole in any sequence holding that line, so such a
+// match proves nothing: the line is counted as new instead. Every decision is kept
+// (with the alignment that justified it) for the debug surface: explain().
+
+import { createLogger } from './logger.js'
+
+const { debug } = createLogger('dedup')
 
 // Normalize hashed asset filenames like "road_blue.33012eed15cae5aa6a05.svg" -> "road_blue.svg"
 function canonicalizeBasename (basename) {
@@ -53,32 +57,151 @@ export function lineSignature (lineText, node) {
   return lineText + ' | imgs:' + imageSignaturesForNode(node)
 }
 
-// Context-aware duplicate assessment: allow identical lines to repeat if
-// their immediate textual neighbor (previous candidate line) differs from
-// the last time we saw this line. We only suppress when BOTH the current
-// signature and the (prev->current) pair have been observed before.
-export function isContextualDuplicate (currentSig, prevSig) {
-  if (!processedLineSignatures.has(currentSig)) return false // brand new line
-  if (!prevSig) return true // no contextual info; fallback to simple suppression
-  const pairKey = prevSig + '>>' + currentSig
-  if (!processedAdjacentPairs.has(pairKey)) return false // new adjacency => allow
-  return true // seen line & pair => duplicate
-}
+// Alignment limits: processed lines remembered, decisions kept for explain()
+const MAX_SEQUENCE = 5000
+const MAX_DECISIONS = 200
+// Distinct lines a window needs before a whole-window match is a duplicate
+const MIN_DISTINCT = 2
 
-export function markContext (currentSig, prevSig) {
-  processedLineSignatures.add(currentSig)
-  if (prevSig) processedAdjacentPairs.add(prevSig + '>>' + currentSig)
-}
+// Dedup memory for one tracker instance; lineSignature stays a pure helper
+export function createDedup () {
+  // Processed lines as interned signature ids, oldest first
+  /** @type {number[]} */
+  const sequence = []
+  /** @type {Map<string, number>} */
+  const ids = new Map()
+  /** @type {string[]} id -> signature */
+  const signatures = []
+  /** @type {Array<Object>} */
+  const decisions = []
 
-// (Legacy consumeDuplicateCheck removed; callers now directly use contextual API.)
+  function intern (sig) {
+    let id = ids.get(sig)
+    if (id === undefined) {
+      id = signatures.length
+      ids.set(sig, id)
+      signatures.push(sig)
+    }
+    return id
+  }
 
-// Debug helper
-export function _debugSignatureCount () {
-  return processedLineSignatures.size
-}
+  /**
+   * Align a visible window against the processed sequence (KMP over ids).
+   * Returns { overlap, at }: how many leading window lines are already
+   * processed and where they start in the sequence (-1: nowhere). A window
+   * found whole (latest occurrence wins) has overlap = window length.
+   * @param {number[]} run  interned window signatures
+   */
+  function align (run) {
+    const fail = new Array(run.length).fill(0)
+    for (let i = 1, k = 0; i < run.length; i++) {
+      while (k && run[i] !== run[k]) k = fail[k - 1]
+      if (run[i] === run[k]) k++
+      fail[i] = k
+    }
+    let k = 0
+    let whole = -1
+    for (let i = 0; i < sequence.length; i++) {
+      while (k && sequence[i] !== run[k]) k = fail[k - 1]
+      if (sequence[i] === run[k]) k++
+      if (k === run.length) {
+        whole = i - k + 1
+        k = fail[k - 1]
+      }
+    }
+    if (whole >= 0) return { overlap: run.length, at: whole }
+    return { overlap: k, at: k ? sequence.length - k : -1 }
+  }
+
+  /**
+   * Decide whether the line at `index` of its visible window is new. New
+   * lines are appended to the processed sequence. `label` (the line text)
+   * only feeds explain().
+   * @param {string[]} windowSigs  candidate line signatures around the line
+   * @param {number} index         the line's position in windowSigs
+   * @param {string} [label]
+   * @returns {boolean} true = new line, process it
+   */
+  function alignLine (windowSigs, index, label = '') {
+    const run = windowSigs.map(intern)
+    const { overlap, at } = align(run)
+    const blind = overlap === run.length && new Set(run).size < MIN_DISTINCT
+    const fresh = blind || index >= overlap
+    let reason
+    if (blind) {
+      reason = `window (${run.length}) repeats one line: no context, counted`
+    } else if (overlap === run.length) {
+      reason = `window (${run.length}) already processed at ${at}`
+    } else if (overlap) {
+      reason = `first ${overlap} of ${run.length} end the sequence; line ${
+        fresh ? 'follows' : 'within'
+      } them`
+    } else {
+      reason = `no overlap: window (${run.length}) is new`
+    }
+    if (fresh) {
+      sequence.push(run[index])
+      if (sequence.length > MAX_SEQUENCE) {
+        sequence.splice(0, sequence.length - MAX_SEQUENCE)
+      }
+    }
+    decisions.push({
+      line: label.length > 80 ? label.slice(0, 79) + '…' : label,
+      verdict: fresh ? 'new' : 'duplicate',
+      index,
+      window: run.length,
+      overlap,
+      at,
+      processed: sequence.length,
+      reason
+    })
+    if (decisions.length > MAX_DECISIONS) decisions.shift()
+    debug(fresh ? 'new:' : 'duplicate:', label, `(${reason})`)
+    return fresh
+  }
 
-// Clear all stored signatures (used by debug surface clear)
-export function clearSignatures () {
-  processedLineSignatures.clear()
-  processedAdjacentPairs.clear()
+  // Most recent dedup decisions, oldest first (debug surface)
+  function explain (limit = 30) {
+    return decisions.slice(-limit)
+  }
+
+  // Debug helper
+  function _debugSignatureCount () {
+    return sequence.length
+  }
+
+  // Serializable copy of the dedup state (persisted with the game): the
+  // newest `limit` processed lines
+  function exportSignatures (limit = MAX_SEQUENCE) {
+    return { sequence: sequence.slice(-limit).map(id => signatures[id]) }
+  }
+
+  // Append previously exported dedup state (restored before the initial scan
+  // so lines already processed before a reload are not counted twice). Saves
+  // from the signature-set dedup only have `lines`, in first-seen order.
+  function importSignatures (data) {
+    for (const sig of data?.sequence || data?.lines || []) {
+      sequence.push(intern(sig))
+    }
+    if (sequence.length > MAX_SEQUENCE) {
+      sequence.splice(0, sequence.length - MAX_SEQUENCE)
+    }
+  }
+
+  // Forget every processed line (used by debug surface clear)
+  function clearSignatures () {
+    sequence.length = 0
+    ids.clear()
+    signatures.length = 0
+    decisions.length = 0
+  }
+
+  return {
+    alignLine,
+    explain,
+    _debugSignatureCount,
+    exportSignatures,
+    importSignatures,
+    clearSignatures
+  }
 }
@@ -35,22 +35,50 @@ export function* walkAllNodes (root) {
   }
 }
 
+// Lines needed under one element before it is taken for the game log
+const MIN_LOG_LINES = 3
+// How often an attached log container is checked for being detached (ms)
+const DETACH_CHECK_MS = 2000
+
+/**
+ * The log container: the element under `root` (shadow roots and same-origin
+ * iframes included) whose direct children hold the most lines, as judged by
+ * `isLine(element)`. Null when no element has `minLines` of them.
+ */
+export function findLogContainer (root, isLine, minLines = 1) {
+  let best = null
+  let bestCount = minLines - 1
+  for (const el of walkAllNodes(root)) {
+    const count = countLines(el, isLine)
+    if (count > bestCount) {
+      best = el
+      bestCount = count
+    }
+  }
+  return best
+}
+
+function countLines (el, isLine) {
+  let count = 0
+  for (const child of el?.children || []) if (isLine(child)) count++
+  return count
+}
+
 /**
- * Attach mutation observers to document, existing shadow roots, and same-origin iframes.
- * Invokes processNode on any added nodes. Returns a disposer function to disconnect all observers.
+ * Observe `root`, its shadow roots and same-origin iframes (also ones added
+ * later). `onAdded(nodes)` receives the added nodes of each mutation batch.
+ * Returns a disposer function that disconnects all observers.
  */
-export function startObservers (processNode) {
+function observeTree (root, onAdded) {
   const observers = []
 
-  function observe (root) {
+  function observe (target) {
     try {
       const obs = new MutationObserver(mutations => {
+        const added = []
         for (const m of mutations) {
           if (!m.addedNodes) continue
-
-          if (processNode) {
-            m.addedNodes.forEach(n => processNode(n))
-          }
+          added.push(...m.addedNodes)
 
           // if new shadow host / iframe appears, start observing those too
           m.addedNodes.forEach(n => {
@@ -65,19 +93,20 @@ export function startObservers (processNode) {
             }
           })
         }
+        if (added.length) onAdded(added)
       })
 
-      obs.observe(root, { childList: true, subtree: true })
+      obs.observe(target, { childList: true, subtree: true })
       observers.push(obs)
     } catch {
       /* ignore */
     }
   }
 
-  observe(document)
+  observe(root)
 
   // also hook existing shadow roots / iframes right away
-  for (const n of walkAllNodes(document)) {
+  for (const n of walkAllNodes(root)) {
     if (n instanceof HTMLElement && n.shadowRoot) observe(n.shadowRoot)
     if (n instanceof HTMLIFrameElement) {
       try {
@@ -92,3 +121,120 @@ export function startObservers (processNode) {
   log('observers attached:', observers.length)
   return () => observers.forEach(o => o.disconnect())
 }
+
+// Run `fn` once the page is idle (bounded wait), else as a microtask
+function scheduleBatch (fn) {
+  if (typeof requestIdleCallback === 'function') {
+    requestIdleCallback(fn, { timeout: 200 })
+  } else {
+    queueMicrotask(fn)
+  }
+}
+
+/**
+ * Follow the game log under `root`. Until its container is found (see
+ * findLogContainer) the whole tree is watched, but only for elements that
+ * are lines themselves or hold them. Once found, `onContainer(container)`
+ * gets the lines already there and only the container is observed: its new
+ * children go to `processNode` in document order. Added nodes are queued and
+ * handled in one batch per idle period (microtask where requestIdleCallback
+ * is missing). A detached container (log re-mounted) restarts the search.
+ * Returns a disposer function.
+ * @param {Node} root
+ * @param {{ isLine: (el: Element) => boolean,
+ *   onContainer: (container: Element) => void,
+ *   processNode: (node: Node) => void }} handlers
+ */
+export function watchLog (root, { isLine, onContainer, processNode }) {
+  let container = null
+  let stopSearch = null
+  let stopLog = null
+  let detachTimer = null
+  let stopped = false
+  const pending = new Set()
+  let scheduled = false
+
+  function enqueue (nodes) {
+    for (const n of nodes) pending.add(n)
+    if (scheduled) return
+    scheduled = true
+    scheduleBatch(flush)
+  }
+
+  function flush () {
+    scheduled = false
+    const nodes = [...pending]
+    pending.clear()
+    if (stopped) return
+    if (!container) return search(nodes)
+    nodes
+      .filter(n => n.parentElement === container)
+      .sort((a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      )
+      .forEach(n => processNode(n))
+  }
+
+  // Look for the container among added elements (batched)
+  function search (nodes) {
+    for (const n of nodes) {
+      if (!(n instanceof HTMLElement) || !isLine(n)) continue
+      const parent = n.parentElement
+      const found =
+        parent && countLines(parent, isLine) >= MIN_LOG_LINES
+          ? parent
+          : findLogContainer(n, isLine, MIN_LOG_LINES)
+      if (found) return attach(found)
+    }
+  }
+
+  function attach (el) {
+    if (stopSearch) stopSearch()
+    stopSearch = null
+    container = el
+    log(
+      'log container found:',
+      el.tagName.toLowerCase() + (el.id ? '#' + el.id : '')
+    )
+    onContainer(el)
+    try {
+      const obs = new MutationObserver(mutations => {
+        for (const m of mutations) enqueue(m.addedNodes)
+      })
+      obs.observe(el, { childList: true, subtree: true })
+      stopLog = () => obs.disconnect()
+    } catch {
+      /* ignore */
+    }
+    detachTimer = setInterval(() => {
+      if (!container || container.isConnected) return
+      log('log container detached; searching again')
+      detach()
+      startSearch()
+    }, DETACH_CHECK_MS)
+  }
+
+  function detach () {
+    if (stopLog) stopLog()
+    stopLog = null
+    if (detachTimer) clearInterval(detachTimer)
+    detachTimer = null
+    container = null
+  }
+
+  function startSearch () {
+    const found = findLogContainer(root, isLine, MIN_LOG_LINES)
+    if (found) return attach(found)
+    stopSearch = observeTree(root, enqueue)
+  }
+
+  startSearch()
+
+  return () => {
+    stopped = true
+    detach()
+    if (stopSearch) stopSearch()
+    stopSearch = null
+    pending.clear()
+  }
+}
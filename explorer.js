@@ -1,521 +1,328 @@
 /**
- * Mini Explorer (single-file build)
- * ---------------------------------
+ * Mini Explorer (content script entry)
+ * ------------------------------------
  * Goal: scan DOM "log line" nodes, parse structured game events, update in-memory
- * player resource state, and render an overlay. We expect to grow the catalog of
- * event types, so this file is organized top-to-bottom for quick human scanning:
- *   1. Imports & constants
- *   2. Generic helpers / tiny utilities
- *   3. Event parsing framework (contracts + registry + concrete parsers)
- *   4. Event side‑effects (state mutations)
- *   5. Logging & diagnostic helpers
- *   6. Node processing / scanning
- *   7. Debug surface & boot
+ * player resource state, and render an overlay. The tracker itself is headless
+ * (core.js `createExplorer`) and built from modules without side effects:
+ *   parsers.js  line text + node -> event (pure)
+ *   scan.js     candidate lines, dedup, per-line diagnostics
+ *   reducer.js  event -> state modules (fold over the journal)
+ *   core.js     one isolated tracker instance (state, journal, time travel)
+ * This file is the thin wrapper for the live page:
+ *   1. Imports
+ *   2. Tracker instance (document root + overlay renderer)
+ *   3. Persistence, debug surface & boot
  */
 
 // 1. Imports ---------------------------------------------------------------
 import {
-  TAG,
-  CANDIDATE_LINE_REGEX,
-  IMAGE_HINTS,
-  RESOURCE_KEYS
-} from './config.js'
-import { log, warn, err } from './logger.js'
-import {
-  addResources,
-  spendResources,
-  entries as playerEntries,
-  clearPlayers,
-  snapshot
-} from './state/players.js'
-import { recordDice, getDiceCounts, clearDice } from './state/dice.js'
+  log,
+  warn,
+  err,
+  createLogger,
+  loadLogSettings,
+  logSettings,
+  setLogLevel,
+  setLogCategory,
+  recentLogs,
+  LOG_LEVELS,
+  LOG_CATEGORIES
+} from './logger.js'
+import { createExplorer } from './core.js'
 import {
   getOverlayBody,
-  renderOverlay,
   ensureDebugControls,
-  renderDiceGraph
+  ensureScrubber,
+  ensureConsolePanel,
+  renderConsolePanel,
+  ensureSettingsPanel,
+  ensureShortcuts,
+  createOverlayRenderer,
+  addSection,
+  removeSection
 } from './ui/overlay.js'
-import { walkAllNodes, startObservers } from './dom.js'
 import {
-  lineSignature,
-  clearSignatures,
-  isContextualDuplicate,
-  markContext
-} from './dedup.js'
-
-// 2. Generic helpers / tiny utilities -------------------------------------
-
-function textFrom (node) {
-  try {
-    return (node.innerText || node.textContent || '').trim()
-  } catch {
-    return ''
-  }
-}
-
-function countResourceImages (container) {
-  const counts = { wood: 0, brick: 0, sheep: 0, wheat: 0, ore: 0 }
-  try {
-    const imgs = container.querySelectorAll?.('img') || []
-    for (const img of imgs) {
-      const src = img.currentSrc || img.src || ''
-      for (const key of RESOURCE_KEYS) {
-        if (IMAGE_HINTS[key].test(src)) counts[key]++
-      }
-    }
-  } catch {
-    /* ignore */
-  }
-  return counts
-}
-
-// Helper: produce compact non-zero resource summary like "wood:2, brick:1"
-function formatResourceSummary (resources) {
-  try {
-    const nonZero = Object.entries(resources || {}).filter(([, v]) => v > 0)
-    if (!nonZero.length) return ''
-    return nonZero.map(([k, v]) => `${k}:${v}`).join(', ')
-  } catch {
-    return ''
-  }
-}
-
-// 3. Event parsing framework ----------------------------------------------
-/**
- * Event object (shape we commit to):
- * { type: string, player?: string, resources?: {wood..}, rawText, node }
- * Additional fields can be appended by future parsers (e.g. diceSum, placed[]).
- * Parsers MUST:
- *   - Accept (lineText, node)
- *   - Return null if not a match
- *   - Return minimal event object if matched (WITHOUT side effects)
- */
-
-const eventParsers = []
-
-// --- Concrete parsers ----------------------------------------------------
-function parseDiceRollEvent (lineText, node) {
-  if (!/\brolled\b/i.test(lineText)) return null
-  const sum = getDiceSum(node)
-  if (sum === null) return null
-  return { type: 'dice_roll', diceSum: sum, rawText: lineText, node }
-}
-
-function parseStartingResourcesEvent (lineText, node) {
-  // Shape: "<PlayerName> received starting resources" + resource icons
-
-  // 1. Quick textual check
-  if (!/received starting resources/i.test(lineText)) return null
-
-  // 2. Extract player name (first token)
-  const playerName = lineText.split(/\s+/)[0]
-  if (!playerName) return null
-
-  // 3. Count resource icons present in the DOM node
-  const resources = countResourceImages(node)
-  const any = RESOURCE_KEYS.some(k => resources[k] > 0)
-  if (!any) return null
-
-  // 4. Produce normalized event object
-  return {
-    type: 'starting_resources',
-    player: playerName,
-    resources,
-    rawText: lineText,
-    node
-  }
-}
-
-function parseGotEvent (lineText, node) {
-  // Shape: "<PlayerName> got ..." + resource icons
-
-  // 1. Quick textual check
-  if (!/\bgot\b/i.test(lineText)) return null
-
-  // 2. Extract player name
-  const playerName = lineText.split(/\s+/)[0]
-  if (!playerName) return null
-
-  // 3. Count resource icons
-  const resources = countResourceImages(node)
-  const gotAny = RESOURCE_KEYS.some(k => resources[k] > 0)
-  if (!gotAny) return null
-
-  // 4. Event object
-  return {
-    type: 'got',
-    player: playerName,
-    resources,
-    rawText: lineText,
-    node
-  }
-}
-
-// Image-based build event parser (replaces text-classifier variant)
-function parseBuildEvent (lineText, node) {
-  if (!/\bbuilt a\b/i.test(lineText)) return null
-  const playerName = lineText.split(/\s+/)[0]
-  if (!playerName) return null
-  const items = getPlacedItems(node)
-  const imgs = node.querySelectorAll?.('img') || []
-  const imageSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
-  return {
-    type: 'build',
-    player: playerName,
-    items,
-    imageSrcs,
-    rawText: lineText,
-    node
-  }
-}
-
-// Development card purchase (image-based) parser
-function parseDevCardPurchaseEvent (lineText, node) {
-  // Text usually: "<PlayerName> bought" with a devcard back image present
-  if (!/\bbought\b/i.test(lineText)) return null
-  const playerName = lineText.split(/\s+/)[0]
-  if (!playerName) return null
-  const imgs = node.querySelectorAll?.('img') || []
-  if (!imgs.length) return null
-  const imageFiles = Array.from(imgs).map(
-    img => (img.currentSrc || img.src || '').split('/').pop() || ''
-  )
-  const hasDevCard = imageFiles.some(f => /devcard/i.test(f))
-  if (!hasDevCard) return null
-  return {
-    type: 'buy_devcard',
-    player: playerName,
-    imageFiles,
-    rawText: lineText,
-    node
-  }
-}
-
-// Discard event parser (player discards specific resource cards)
-function parseDiscardEvent (lineText, node) {
-  if (!/\bdiscarded\b/i.test(lineText)) return null
-  const playerName = lineText.split(/\s+/)[0]
-  if (!playerName) return null
-  const resources = countResourceImages(node)
-  const any = RESOURCE_KEYS.some(k => resources[k] > 0)
-  if (!any) return null
-  return {
-    type: 'discard',
-    player: playerName,
-    resources,
-    rawText: lineText,
-    node
-  }
-}
-
-// Register parsers in priority order (top-first match wins)
-eventParsers.push(parseDiceRollEvent)
-eventParsers.push(parseStartingResourcesEvent)
-eventParsers.push(parseGotEvent)
-eventParsers.push(parseDevCardPurchaseEvent)
-eventParsers.push(parseDiscardEvent)
-eventParsers.push(parseBuildEvent)
-
-function parseLine (lineText, node) {
-  for (const parse of eventParsers) {
-    try {
-      const evt = parse(lineText, node)
-      if (evt) return evt
-    } catch (e) {
-      warn('parser failed:', e)
-    }
-  }
-  return null
-}
-
-// 4. Event side-effects ----------------------------------------------------
-function applyEvent (evt) {
-  switch (evt.type) {
-    case 'starting_resources':
-      if (evt.player && evt.resources) {
-        addResources(evt.player, evt.resources)
-        const resSummary = formatResourceSummary(evt.resources)
-        log(
-          'event starting_resources ->',
-          evt.player,
-          resSummary || '(no resource counts)'
-        )
-      }
-      break
-    case 'got':
-      if (evt.player && evt.resources) {
-        addResources(evt.player, evt.resources)
-        // Incremental: internal event log (will later replace external pre-parse logging)
-        const resSummary = formatResourceSummary(evt.resources)
-        log('event got ->', evt.player, resSummary || '(no resource counts)')
-      }
-      break
-    case 'dice_roll':
-      if (typeof evt.diceSum === 'number') {
-        recordDice(evt.diceSum)
-        log('event dice_roll -> sum:', evt.diceSum)
-      }
-      break
-    case 'build':
-      if (evt.player) {
-        const items = evt.items || []
-        if (!items.length) {
-          log(
-            'event build ->',
-            evt.player,
-            'items: (unrecognized yet)',
-            '(image filenames logged)'
-          )
-        } else {
-          for (const item of items) {
-            switch (item) {
-              case 'road': {
-                const spent = spendResources(evt.player, { wood: 1, brick: 1 })
-                log(
-                  'event build ->',
-                  evt.player,
-                  'road',
-                  formatResourceSummary(spent) || '(no spend)'
-                )
-                break
-              }
-              case 'settlement': {
-                const spent = spendResources(evt.player, {
-                  wood: 1,
-                  brick: 1,
-                  sheep: 1,
-                  wheat: 1
-                })
-                log(
-                  'event build ->',
-                  evt.player,
-                  'settlement',
-                  formatResourceSummary(spent) || '(no spend)'
-                )
-                break
-              }
-              case 'city': {
-                const spent = spendResources(evt.player, { wheat: 2, ore: 3 })
-                log(
-                  'event build ->',
-                  evt.player,
-                  'city',
-                  formatResourceSummary(spent) || '(no spend)'
-                )
-                break
-              }
-              default:
-                log('event build ->', evt.player, item, '(no cost logic)')
-            }
-          }
-        }
-      }
-      break
-    case 'buy_devcard':
-      if (evt.player) {
-        const spent = spendResources(evt.player, { sheep: 1, wheat: 1, ore: 1 })
-        log(
-          'event buy_devcard ->',
-          evt.player,
-          formatResourceSummary(spent) || '(no spend)'
-        )
-      }
-      break
-    case 'discard':
-      if (evt.player && evt.resources) {
-        // Use spendResources to clamp in case of mismatch; resources represent cards shown as discarded.
-        const requested = evt.resources
-        const removed = spendResources(evt.player, requested)
-        const reqSummary = formatResourceSummary(requested)
-        const removedSummary = formatResourceSummary(removed)
-        // Detect shortfalls (cards shown but we didn't think player had)
-        const shortfalls = []
-        for (const k of RESOURCE_KEYS) {
-          const want = requested[k] || 0
-          // @ts-ignore - removed may not have all keys
-          const took = removed[k] || 0
-          if (want > took) shortfalls.push(`${k}:${want - took}`)
-        }
-        if (!shortfalls.length) {
-          log(
-            'event discard ->',
-            evt.player,
-            removedSummary || '(no resources)'
-          )
-        } else {
-          log(
-            'event discard ->',
-            evt.player,
-            removedSummary || '(none removed)',
-            `(requested: ${reqSummary})`,
-            `(shortfall: ${shortfalls.join(', ')})`
-          )
-        }
-      }
-      break
-    // Future event types handled here.
-    default:
-      // (No side-effect yet) – intentionally silent.
-      break
-  }
-  // Overlay always re-renders after any recognized event for now.
-  renderOverlay(playerEntries())
-  renderDiceGraph(getDiceCounts())
-}
-
-// 5. Logging & diagnostics -------------------------------------------------
-function logEventDetails (lineText, node) {
-  const details = []
-  let sig = ''
-  try {
-    sig = lineSignature(lineText, node)
-  } catch {}
-  const resources = countResourceImages(node)
-  const nonZeroResources = Object.entries(resources).filter(([, v]) => v > 0)
-  if (nonZeroResources.length) {
-    details.push(
-      'resources: ' + nonZeroResources.map(([k, v]) => `${k}:${v}`).join(', ')
-    )
-  }
-  if (/\brolled\b/i.test(lineText)) {
-    const sum = getDiceSum(node)
-    if (sum !== null) details.push('dice: ' + sum)
-  }
-  if (/\bplaced a\b/i.test(lineText)) {
-    const placed = getPlacedItems(node)
-    if (placed.length) details.push(placed.join(', '))
-  }
-  if (/\bbuilt a\b/i.test(lineText)) {
-    try {
-      const imgs = node.querySelectorAll?.('img') || []
-      if (imgs.length) {
-        const names = Array.from(imgs)
-          .map(img => (img.currentSrc || img.src || '').split('/').pop())
-          .filter(Boolean)
-        if (names.length) details.push('build_imgs: ' + names.join('|'))
-      }
-    } catch {}
-  }
-  const parts = ['line:', lineText]
-  if (details.length) parts.push(...details)
-  log(...parts)
-  log('signature:', sig)
-}
-
-function getDiceSum (node) {
-  const imgs = node.querySelectorAll?.('img') || []
-  const imgSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
-  const diceValues = imgSrcs
-    .map(src => {
-      const m = src.match(/dice_(\d+)/i)
-      return m ? parseInt(m[1], 10) : null
+  gameIdFromUrl,
+  loadGame,
+  saveGame,
+  forgetGame,
+  purgeStaleGames,
+  MAX_SAVED_SIGNATURES
+} from './persist.js'
+import { buildExportJson, parseExportJson, flowsCsv } from './export.js'
+import { downloadFile } from './ui/files.js'
+
+// 2. Tracker instance -------------------------------------------------------
+// Every parsed line on the page is journaled, folded and drawn in the overlay;
+// each journaled event also schedules a save.
+const explorer = createExplorer({
+  root: document,
+  renderer: createOverlayRenderer(),
+  onEvent: () => scheduleSave()
+})
+const { state, journal } = explorer
+// Debug surface output (window.__miniExplorer) logs under 'ui'
+const ui = createLogger('ui')
+
+// 3. Persistence, debug surface & boot --------------------------------------
+
+// Saved per game (URL game ID); null outside a game = no persistence
+let gameId = gameIdFromUrl(location.href)
+let saveTimer = null
+// Saving serializes the whole journal on the page's main thread: at most
+// every few seconds during play (pagehide saves the rest)
+const SAVE_DELAY_MS = 5000
+
+function saveNow () {
+  if (saveTimer) clearTimeout(saveTimer)
+  saveTimer = null
+  if (gameId) {
+    saveGame(gameId, {
+      events: journal.journalEvents(),
+      signatures: explorer.dedup.exportSignatures(MAX_SAVED_SIGNATURES)
     })
-    .filter(v => v !== null)
-  if (diceValues.length) return diceValues.reduce((a, b) => a + b, 0)
-  return null
-}
-
-function getPlacedItems (node) {
-  const imgs = node.querySelectorAll?.('img') || []
-  const imgSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
-  const items = new Set()
-  for (const src of imgSrcs) {
-    const file = src.split('/').pop() || ''
-    if (/icon_bot/i.test(file)) continue // skip avatar/bot markers
-    // Road examples: road_green.<hash>.svg ; allow variant/hashes
-    if (/^road_[^\.]+\.[a-z0-9]+\.svg/i.test(file)) items.add('road')
-    // Settlement examples (expected similar): settlement_<color>.<hash>.svg
-    if (/^settlement_[^\.]+\.[a-z0-9]+\.svg/i.test(file))
-      items.add('settlement')
-    // City examples: city_blue.<hash>.svg
-    if (/^city_[^\.]+\.[a-z0-9]+\.svg/i.test(file)) items.add('city')
   }
-  return [...items]
 }
 
-// 6. Node processing / scanning -------------------------------------------
-function processNode (node) {
-  if (!(node instanceof HTMLElement)) return
-
-  const lineText = textFrom(node)
-  if (!lineText || !CANDIDATE_LINE_REGEX.test(lineText)) return
-
-  // Sibling-context virtualization duplicate guard.
-  let prevNode = node.previousElementSibling
-  let prevSig = null
-  while (prevNode) {
-    try {
-      const t = textFrom(prevNode)
-      if (t && CANDIDATE_LINE_REGEX.test(t)) {
-        prevSig = lineSignature(t, prevNode)
-        break
-      }
-    } catch {}
-    prevNode = prevNode.previousElementSibling
-  }
-
-  const sig = lineSignature(lineText, node)
-  if (isContextualDuplicate(sig, prevSig)) {
-    // log('context dedup skip:', lineText)
-    return
-  }
-  markContext(sig, prevSig)
-  // Identity debug logging removed (was used to hunt stable DOM IDs).
-
-  // (Simple global signature suppression removed; contextual logic above decides.)
-
-  // Log diagnostic info regardless of whether any parser claims the line.
-  logEventDetails(lineText, node)
+// Debounced: a burst of log lines is saved once
+function scheduleSave () {
+  if (!gameId || saveTimer) return
+  saveTimer = setTimeout(saveNow, SAVE_DELAY_MS)
+}
 
-  const evt = parseLine(lineText, node)
-  if (!evt) return
-  try {
-    applyEvent(evt)
-  } catch (e) {
-    warn('applyEvent failed for', evt.type, e)
-  }
+// Restore journal + dedup signatures for this game and fold them into state.
+// Must run before the initial scan so already-processed lines are skipped.
+function restoreGame () {
+  const purged = purgeStaleGames()
+  if (purged) log('expired saved games:', purged)
+  if (!gameId) return
+  const saved = loadGame(gameId)
+  if (!saved) return
+  explorer.dedup.importSignatures(saved.signatures)
+  explorer.load(saved.events)
+  log('restored game', gameId + ':', saved.events.length, 'events')
 }
 
-function initialScan () {
-  let candidates = 0
-  for (const node of walkAllNodes(document)) {
-    if (node instanceof HTMLElement) {
-      const txt = textFrom(node)
-      if (txt && CANDIDATE_LINE_REGEX.test(txt)) {
-        processNode(node)
-        candidates++
-      }
-    }
-  }
-  log('initial scan done. candidates:', candidates)
+// Colonist moves to the next game by changing the URL hash, without a
+// reload: save the game we were tracking, then start over with the new one
+function switchGame () {
+  const next = gameIdFromUrl(location.href)
+  if (next === gameId) return
+  saveNow()
+  log('game changed:', gameId || '(none)', '->', next || '(none)')
+  gameId = next
+  explorer.clear()
+  restoreGame()
+  explorer.start() // after an import the watcher is stopped
 }
 
-// 7. Debug surface & boot -------------------------------------------------
 window.__miniExplorer = {
   dump () {
-    const rows = snapshot()
+    const rows = explorer.snapshot()
     console.table(rows)
     return rows
   },
   clear () {
-    clearPlayers()
-    clearDice()
-    clearSignatures()
-    renderOverlay(playerEntries())
-    renderDiceGraph(getDiceCounts())
+    if (gameId) forgetGame(gameId)
+    explorer.clear()
+  },
+  // Rewind the display to `position` journal events (omit for live view)
+  seek (position) {
+    explorer.seek(typeof position === 'number' ? position : null)
+  },
+  journal () {
+    return journal.journalEvents()
+  },
+  rebuild () {
+    explorer.rebuild()
   },
   dice () {
-    return getDiceCounts()
+    return state.dice.getDiceCounts()
+  },
+  diceStats () {
+    const { diceStats, getFaceCounts, streakStats } = state.dice
+    const rows = [['(all)', diceStats()], ...explorer.view().diceRows].map(
+      ([player, st]) => ({
+        player,
+        rolls: st.rolls,
+        mean: st.mean == null ? null : +st.mean.toFixed(2),
+        chiSquare: st.chiSquare == null ? null : +st.chiSquare.toFixed(2),
+        pValue: st.pValue == null ? null : +st.pValue.toFixed(3)
+      })
+    )
+    console.table(rows)
+    ui.log('faces:', getFaceCounts(), 'streaks:', streakStats())
+    return rows
+  },
+  worlds () {
+    return state.hands.worldCount()
+  },
+  devcards () {
+    const rows = [...state.players.entries()].map(([player]) => {
+      const e = state.devcards.devCardEstimate(player)
+      return {
+        player,
+        bought: e.bought,
+        played: e.played,
+        unplayed: e.unplayed,
+        vpExpected: +e.vpExpected.toFixed(2),
+        vpChance: +e.vpChance.toFixed(2)
+      }
+    })
+    console.table(rows)
+    ui.log('dev deck remaining:', state.devcards.deckRemaining())
+    return rows
+  },
+  audit () {
+    const rows = state.players.auditLog()
+    console.table(rows)
+    return rows
+  },
+  // Parsed vs. missed candidate lines per keyword + recent unparsed lines
+  coverage () {
+    const report = explorer.coverage()
+    console.table(report.keywords)
+    for (const u of report.samples) ui.log('unparsed:', u.text, u.images)
+    ui.log(
+      `coverage: ${report.matched}/${report.lines} candidate lines parsed`
+    )
+    return report
+  },
+  // --- Logging ---
+  // Minimum level: 'debug' (per-line detail) | 'info' | 'warn' | 'error' |
+  // 'silent'. Without an argument just returns the current settings.
+  logLevel (level) {
+    if (level !== undefined && !setLogLevel(level)) {
+      ui.warn('logLevel: expected one of', LOG_LEVELS.join(', '))
+    }
+    renderConsolePanel()
+    return logSettings()
+  },
+  // Turn a log category ('core', 'parse', 'dedup', 'state', 'ui') on or off
+  logCategory (category, on = true) {
+    if (!setLogCategory(category, on)) {
+      ui.warn('logCategory: expected one of', LOG_CATEGORIES.join(', '))
+    }
+    renderConsolePanel()
+    return logSettings()
+  },
+  // Recent log entries (the console panel's ring buffer)
+  logs (limit) {
+    const rows = recentLogs(limit)
+    console.table(rows)
+    return rows
+  },
+  // Recent dedup decisions (new / duplicate) with the alignment behind each
+  dedup (limit) {
+    const rows = explorer.dedup.explain(limit)
+    console.table(rows)
+    return rows
+  },
+  // Name color, piece color and local player ("You") per player
+  players () {
+    const rows = state.identity.identityRows()
+    console.table(rows)
+    ui.log('local player:', state.identity.localPlayer() || '(unknown)')
+    return rows
+  },
+  // Download the journal + stats (JSON) and resource flows (CSV)
+  exportGame () {
+    const data = buildExportJson({
+      gameId,
+      events: journal.journalEvents(),
+      stats: explorer.stats()
+    })
+    const day = data.exportedAt.slice(0, 10)
+    const base = `mini-explorer-${gameId || 'game'}-${day}`
+    downloadFile(`${base}.json`, JSON.stringify(data, null, 2))
+    downloadFile(
+      `${base}-flows.csv`,
+      flowsCsv(state.flows.flowRows()),
+      'text/csv'
+    )
+    ui.log('exported', data.events.length, 'events as', base)
+    return data
+  },
+  // Replace the journal with an exported game (JSON text) and re-render.
+  // The imported game is only viewed: the live game is saved first, then the
+  // log watcher and persistence are detached so page lines aren't folded into
+  // it and it is never saved over the live game. A reload (or moving to
+  // another game) resumes live tracking.
+  importGame (text) {
+    let events
+    try {
+      events = parseExportJson(text)
+    } catch (e) {
+      ui.warn('import failed:', e instanceof Error ? e.message : e)
+      return false
+    }
+    saveNow()
+    explorer.stop()
+    gameId = null
+    explorer.dedup.clearSignatures()
+    explorer.load(events)
+    ui.log('imported', events.length, 'events; live tracking paused')
+    return true
+  },
+  // --- Plugin API ---
+  // Add a parser; { before, after } name an existing one (see parsers()).
+  // Returns a function that removes it again.
+  registerParser (fn, options) {
+    return explorer.registerParser(fn, options)
+  },
+  // Parser names in priority order
+  parsers () {
+    return explorer.parsers()
+  },
+  // Live journaled events of `type` ('*' = all); returns an unsubscribe fn
+  on (type, handler) {
+    return explorer.on(type, handler)
+  },
+  off (type, handler) {
+    explorer.off(type, handler)
+  },
+  // Overlay section redrawn on every render via render(body, view)
+  addSection (id, title, render) {
+    addSection(id, title, render)
+    explorer.render()
+  },
+  removeSection (id) {
+    removeSection(id)
+  }
+}
+
+// Plugins queued before boot: window.__miniExplorerPlugins = [api => {...}]
+// (e.g. another content script listed before this one in manifest.json).
+// They run before the initial scan so their parsers see existing lines; later
+// pushes run immediately.
+function installPlugins () {
+  const api = window.__miniExplorer
+  const run = plugin => {
+    try {
+      plugin(api)
+    } catch (e) {
+      warn('plugin failed:', e)
+    }
   }
+  const queued = window.__miniExplorerPlugins
+  if (Array.isArray(queued)) queued.forEach(run)
+  window.__miniExplorerPlugins = { push: (...plugins) => plugins.forEach(run) }
 }
 
 try {
+  loadLogSettings()
+  restoreGame()
   getOverlayBody()
-  renderOverlay(playerEntries())
-  renderDiceGraph(getDiceCounts())
   ensureDebugControls()
-  initialScan()
-  startObservers(processNode) // observe new DOM
+  ensureScrubber({ seek: explorer.seek, step: explorer.step })
+  ensureSettingsPanel({ onChange: () => explorer.render() })
+  ensureShortcuts()
+  installPlugins()
+  explorer.render()
+  ensureConsolePanel()
+  explorer.start() // initial scan + observe new DOM
+  window.addEventListener('pagehide', saveNow)
+  window.addEventListener('hashchange', switchGame)
   log(
     'READY. Move/roll/get resources to see logs; call window.__miniExplorer.dump()'
   )
@@ -0,0 +1,46 @@
+// Game export / import
+// --------------------
+// Export = versioned JSON (the parsed event journal + final stats) and a CSV of
+// per-player resource flows for spreadsheets. Import reads the JSON back; the
+// events are the source of truth, stats are recomputed by replaying them.
+
+export const EXPORT_FORMAT = 'mini-explorer-game'
+export const EXPORT_VERSION = 1
+
+export function buildExportJson ({ gameId, events, stats }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    gameId: gameId || null,
+    events,
+    stats
+  }
+}
+
+// Parse exported JSON text; returns the event list or throws with a reason.
+export function parseExportJson (text) {
+  const data = JSON.parse(text)
+  if (data?.format !== EXPORT_FORMAT) throw new Error('not a game export')
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`unsupported export version ${data.version}`)
+  }
+  if (!Array.isArray(data.events)) throw new Error('export has no events')
+  return data.events.filter(e => e && typeof e.type === 'string')
+}
+
+function csvCell (value) {
+  const s = String(value ?? '')
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+// Rows of { player, resource, source, in, out } -> CSV text with a header
+export function flowsCsv (rows) {
+  const header = ['player', 'resource', 'source', 'in', 'out', 'net']
+  const lines = rows.map(r =>
+    [r.player, r.resource, r.source, r.in, r.out, r.in - r.out]
+      .map(csvCell)
+      .join(',')
+  )
+  return [header.join(','), ...lines].join('\n') + '\n'
+}
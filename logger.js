@@ -1,4 +1,140 @@
 import { TAG } from './config.js'
-export const log = (...a) => console.log(TAG, ...a)
-export const warn = (...a) => console.warn(TAG, ...a)
-export const err = (...a) => console.error(TAG, ...a)
+
+// Tagged console helpers with levels, per-category filters and a ring buffer
+// of recent entries (shown in the overlay's console panel). Settings are
+// changed at runtime (window.__miniExplorer.logLevel / logCategory) and saved
+// in localStorage; loadLogSettings() restores them at boot.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent']
+export const LOG_CATEGORIES = ['core', 'parse', 'dedup', 'state', 'ui']
+
+const SETTINGS_KEY = 'miniExplorerLog'
+// Recent entries kept for the console panel
+const MAX_ENTRIES = 300
+
+const settings = {
+  level: 'info',
+  /** @type {Record<string, boolean>} */
+  categories: Object.fromEntries(LOG_CATEGORIES.map(c => [c, true]))
+}
+/** @typedef {{ ts: number, level: string, category: string, text: string }} LogEntry */
+/** @type {LogEntry[]} */
+const entries = []
+/** @type {Set<(entry: LogEntry) => void>} */
+const listeners = new Set()
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
+}
+
+function enabled (level, category) {
+  if (settings.categories[category] === false) return false
+  return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(settings.level)
+}
+
+function formatArg (a) {
+  if (typeof a === 'string') return a
+  if (a instanceof Error) return a.message
+  try {
+    return JSON.stringify(a) ?? String(a)
+  } catch {
+    return String(a)
+  }
+}
+
+function emit (level, category, args) {
+  if (!enabled(level, category)) return
+  console[CONSOLE_METHODS[level]](TAG, `[${category}]`, ...args)
+  const entry = {
+    ts: Date.now(),
+    level,
+    category,
+    text: args.map(formatArg).join(' ')
+  }
+  entries.push(entry)
+  if (entries.length > MAX_ENTRIES) entries.shift()
+  for (const listener of listeners) {
+    try {
+      listener(entry)
+    } catch {
+      /* ignore */
+    }
+  }
+}
+
+// Loggers for one category: debug (per-line detail), log (info), warn, err
+export function createLogger (category) {
+  return {
+    debug: (...a) => emit('debug', category, a),
+    log: (...a) => emit('info', category, a),
+    warn: (...a) => emit('warn', category, a),
+    err: (...a) => emit('error', category, a)
+  }
+}
+
+export const { log, warn, err } = createLogger('core')
+
+// --- Settings ---------------------------------------------------------------
+
+export function logSettings () {
+  return { level: settings.level, categories: { ...settings.categories } }
+}
+
+function saveLogSettings () {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+  } catch {
+    /* ignore */
+  }
+}
+
+export function loadLogSettings () {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null')
+    if (LOG_LEVELS.includes(saved?.level)) settings.level = saved.level
+    for (const category of LOG_CATEGORIES) {
+      if (typeof saved?.categories?.[category] === 'boolean') {
+        settings.categories[category] = saved.categories[category]
+      }
+    }
+  } catch {
+    /* ignore */
+  }
+}
+
+// Minimum level printed / kept ('silent' = nothing). Returns false (and
+// changes nothing) for an unknown level.
+export function setLogLevel (level) {
+  if (!LOG_LEVELS.includes(level)) return false
+  settings.level = level
+  saveLogSettings()
+  return true
+}
+
+// Turn one category on or off. Returns false for an unknown category.
+export function setLogCategory (category, on) {
+  if (!LOG_CATEGORIES.includes(category)) return false
+  settings.categories[category] = !!on
+  saveLogSettings()
+  return true
+}
+
+// --- Ring buffer --------------------------------------------------------------
+
+// Most recent entries, oldest first
+export function recentLogs (limit = MAX_ENTRIES) {
+  return entries.slice(-limit)
+}
+
+export function clearLogs () {
+  entries.length = 0
+}
+
+// Called with every entry that passes the filters; returns an unsubscribe fn
+export function onLogEntry (listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
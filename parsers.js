@@ -0,0 +1,539 @@
+// Log line parsers
+// ----------------
+// Pure functions from a log line (text + DOM node) to an event object. No
+// state, no rendering: the content script, the offline replay (replay.js) and
+// anything else can run lines through `parseLine` without side effects.
+
+import { IMAGE_HINTS, RESOURCE_KEYS, DEV_CARD_HINTS } from './config.js'
+import { createLogger } from './logger.js'
+
+const { warn } = createLogger('parse')
+
+// Helpers -------------------------------------------------------------------
+
+export function textFrom (node) {
+  try {
+    return (node.innerText || node.textContent || '').trim()
+  } catch {
+    return ''
+  }
+}
+
+export function countResourceImages (container) {
+  const counts = { wood: 0, brick: 0, sheep: 0, wheat: 0, ore: 0 }
+  try {
+    const imgs = container.querySelectorAll?.('img') || []
+    for (const img of imgs) {
+      const src = img.currentSrc || img.src || ''
+      for (const key of RESOURCE_KEYS) {
+        if (IMAGE_HINTS[key].test(src)) counts[key]++
+      }
+    }
+  } catch {
+    /* ignore */
+  }
+  return counts
+}
+
+// Split resource icon counts around the first text match of `marker`, in
+// document order: icons before the marker text vs. icons after it. Used for
+// lines that carry two resource groups ("gave [..] and got [..] from X").
+function countResourceImagesAround (container, marker) {
+  const before = { wood: 0, brick: 0, sheep: 0, wheat: 0, ore: 0 }
+  const after = { wood: 0, brick: 0, sheep: 0, wheat: 0, ore: 0 }
+  let seenText = ''
+  let side = before
+  const visit = n => {
+    if (n.nodeType === Node.TEXT_NODE) {
+      seenText += n.textContent || ''
+      if (side === before && marker.test(seenText)) side = after
+      return
+    }
+    if (n.tagName === 'IMG') {
+      const src = n.currentSrc || n.src || ''
+      for (const key of RESOURCE_KEYS) {
+        if (IMAGE_HINTS[key].test(src)) side[key]++
+      }
+    }
+    for (const child of n.childNodes || []) visit(child)
+  }
+  try {
+    visit(container)
+  } catch {
+    /* ignore */
+  }
+  return [before, after]
+}
+
+// Basenames of every image on a line ("card_lumber.svg"); for diagnostics
+export function imageBasenames (node) {
+  const imgs = node.querySelectorAll?.('img') || []
+  return Array.from(imgs)
+    .map(img => (img.currentSrc || img.src || '').split('/').pop() || '')
+    .filter(Boolean)
+}
+
+// Strip trailing punctuation from a name token ("Bob." -> "Bob")
+function cleanName (token) {
+  return (token || '').replace(/[.!,:;]+$/, '')
+}
+
+// Colored name elements on a line, in document order. The log renders each
+// player name (and "You") as a text-only element styled in the player color.
+export function lineNames (node) {
+  const names = []
+  try {
+    for (const el of node.querySelectorAll?.('[style]') || []) {
+      const color = el.style?.color
+      const name = el.children.length ? '' : textFrom(el)
+      if (color && name) names.push({ name, color })
+    }
+  } catch {
+    /* ignore */
+  }
+  return names
+}
+
+// Acting player: the first colored name when the line starts with it (names
+// may contain spaces), else the first word
+function lineActor (lineText, node) {
+  const first = lineNames(node)[0]
+  if (first && lineText.startsWith(first.name)) return first.name
+  return cleanName(lineText.split(/\s+/)[0])
+}
+
+// Player named after `marker` (e.g. /\bfrom\s+(\S+)/i): the colored name that
+// follows the marker most closely (the longest one on a tie, so "Ann" never
+// wins over "Annabel"), else the word the marker captured. Goes by position
+// in the text, not by order, so a line that doesn't open with the actor's
+// colored name still finds the right target.
+function lineTarget (lineText, node, marker) {
+  const m = lineText.match(marker)
+  if (!m) return null
+  let best = null
+  let bestAt = Infinity
+  for (const { name } of lineNames(node)) {
+    const at = lineText.indexOf(name, m.index)
+    if (at < 0) continue
+    if (at < bestAt || (at === bestAt && name.length > best.length)) {
+      best = name
+      bestAt = at
+    }
+  }
+  return best || cleanName(m[1])
+}
+
+// Helper: produce compact non-zero resource summary like "wood:2, brick:1"
+export function formatResourceSummary (resources) {
+  try {
+    const nonZero = Object.entries(resources || {}).filter(([, v]) => v > 0)
+    if (!nonZero.length) return ''
+    return nonZero.map(([k, v]) => `${k}:${v}`).join(', ')
+  } catch {
+    return ''
+  }
+}
+
+// Event parsing framework -------------------------------------------------
+/**
+ * Event object (shape we commit to):
+ * { type: string, player?: string, resources?: {wood..}, rawText, node }
+ * Additional fields can be appended by future parsers (e.g. diceSum, placed[]).
+ * parseLine adds identity hints to every match: names ([{ name, color }],
+ * the colored names on the line) and pieceColor (see state/identity.js).
+ * Parsers MUST:
+ *   - Accept (lineText, node)
+ *   - Return null if not a match
+ *   - Return minimal event object if matched (WITHOUT side effects)
+ */
+
+export const eventParsers = []
+
+// --- Concrete parsers ----------------------------------------------------
+function parseDiceRollEvent (lineText, node) {
+  if (!/\brolled\b/i.test(lineText)) return null
+  const dice = getDiceValues(node)
+  if (!dice.length) return null
+  const playerName = lineActor(lineText, node)
+  return {
+    type: 'dice_roll',
+    player: playerName || undefined,
+    diceSum: dice.reduce((a, b) => a + b, 0),
+    dice,
+    rawText: lineText,
+    node
+  }
+}
+
+function parseStartingResourcesEvent (lineText, node) {
+  // Shape: "<PlayerName> received starting resources" + resource icons
+
+  // 1. Quick textual check
+  if (!/received starting resources/i.test(lineText)) return null
+
+  // 2. Extract player name (colored name element or first token)
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+
+  // 3. Count resource icons present in the DOM node
+  const resources = countResourceImages(node)
+  const any = RESOURCE_KEYS.some(k => resources[k] > 0)
+  if (!any) return null
+
+  // 4. Produce normalized event object
+  return {
+    type: 'starting_resources',
+    player: playerName,
+    resources,
+    rawText: lineText,
+    node
+  }
+}
+
+function parseGotEvent (lineText, node) {
+  // Shape: "<PlayerName> got ..." + resource icons
+
+  // 1. Quick textual check
+  if (!/\bgot\b/i.test(lineText)) return null
+
+  // 2. Extract player name
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+
+  // 3. Count resource icons
+  const resources = countResourceImages(node)
+  const gotAny = RESOURCE_KEYS.some(k => resources[k] > 0)
+  if (!gotAny) return null
+
+  // 4. Event object
+  return {
+    type: 'got',
+    player: playerName,
+    resources,
+    rawText: lineText,
+    node
+  }
+}
+
+// Image-based build event parser (replaces text-classifier variant)
+function parseBuildEvent (lineText, node) {
+  if (!/\bbuilt a\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const items = getPlacedItems(node)
+  const imgs = node.querySelectorAll?.('img') || []
+  const imageSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
+  return {
+    type: 'build',
+    player: playerName,
+    items,
+    imageSrcs,
+    rawText: lineText,
+    node
+  }
+}
+
+// Development card purchase (image-based) parser
+function parseDevCardPurchaseEvent (lineText, node) {
+  // Text usually: "<PlayerName> bought" with a devcard back image present
+  if (!/\bbought\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const imgs = node.querySelectorAll?.('img') || []
+  if (!imgs.length) return null
+  const imageFiles = Array.from(imgs).map(
+    img => (img.currentSrc || img.src || '').split('/').pop() || ''
+  )
+  const hasDevCard = imageFiles.some(f => /devcard/i.test(f))
+  if (!hasDevCard) return null
+  return {
+    type: 'buy_devcard',
+    player: playerName,
+    imageFiles,
+    rawText: lineText,
+    node
+  }
+}
+
+// Discard event parser (player discards specific resource cards)
+function parseDiscardEvent (lineText, node) {
+  if (!/\bdiscarded\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const resources = countResourceImages(node)
+  const any = RESOURCE_KEYS.some(k => resources[k] > 0)
+  if (!any) return null
+  return {
+    type: 'discard',
+    player: playerName,
+    resources,
+    rawText: lineText,
+    node
+  }
+}
+
+// Robber steal parser: "<Thief> stole <card> from <Victim>"
+// The stolen card is only visible to thief & victim; everyone else sees a
+// card back, in which case `resource` is null and the card becomes unknown.
+function parseStealEvent (lineText, node) {
+  if (!/\bstole\b.*?\bfrom\s+\S/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  const victim = lineTarget(lineText, node, /\bfrom\s+(\S+)/i)
+  if (!playerName || !victim) return null
+  const counts = countResourceImages(node)
+  const shown = RESOURCE_KEYS.filter(k => counts[k] > 0)
+  return {
+    type: 'steal',
+    player: playerName,
+    victim,
+    resource: shown.length === 1 ? shown[0] : null,
+    rawText: lineText,
+    node
+  }
+}
+
+// Player-to-player trade parser: "<A> gave [icons] and got [icons] from <B>"
+// Must run before parseGotEvent, which would otherwise count the whole line
+// as free income for A.
+function parseTradeEvent (lineText, node) {
+  if (!/\bgave\b.*\band got\b/i.test(lineText)) return null
+  if (/\bgave bank\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  const partner = lineTarget(lineText, node, /\bfrom\s+(.+?)\s*$/i)
+  if (!playerName || !partner) return null
+  const [given, received] = countResourceImagesAround(node, /\band got\b/i)
+  const any = RESOURCE_KEYS.some(k => given[k] > 0 || received[k] > 0)
+  if (!any) return null
+  return {
+    type: 'trade',
+    player: playerName,
+    partner,
+    given,
+    received,
+    rawText: lineText,
+    node
+  }
+}
+
+// Bank trade parser: "<A> gave bank [icons] and took [icons]" (4:1 / 3:1 / 2:1)
+// or "<A> gave [icons] and took from bank [icons]". A "took from bank" line
+// with nothing given is Year of Plenty (parseYearOfPlentyEvent).
+function parseBankTradeEvent (lineText, node) {
+  const marker = /\bgave bank\b.*\band took\b/i.test(lineText)
+    ? /\band took\b/i
+    : /\btook from bank\b/i
+  if (!marker.test(lineText)) return null
+  const [given, received] = countResourceImagesAround(node, marker)
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  if (!RESOURCE_KEYS.some(k => received[k] > 0)) return null
+  if (!RESOURCE_KEYS.some(k => given[k] > 0)) return null
+  return {
+    type: 'bank_trade',
+    player: playerName,
+    given,
+    received,
+    ratio: inferTradeRatio(given, received),
+    rawText: lineText,
+    node
+  }
+}
+
+// Infer the bank ratio of a trade: each received card costs `ratio` cards of
+// a single resource, so ratio = cards given / cards received and every given
+// resource count must divide evenly. Returns { ratio, resources } (the given
+// resource keys) or null when the icons don't fit a 4:1 / 3:1 / 2:1 trade.
+function inferTradeRatio (given, received) {
+  const gave = RESOURCE_KEYS.filter(k => given[k] > 0)
+  const gaveCount = gave.reduce((a, k) => a + given[k], 0)
+  const gotCount = RESOURCE_KEYS.reduce((a, k) => a + (received[k] || 0), 0)
+  if (!gave.length || !gotCount) return null
+  const ratio = gaveCount / gotCount
+  if (![2, 3, 4].includes(ratio)) return null
+  if (!gave.every(k => given[k] % ratio === 0)) return null
+  return { ratio, resources: gave }
+}
+
+// Harbors a trade ratio proves the player owns ("3:1", "2:1 ore")
+export function harborLabels (ratio) {
+  if (!ratio || ratio.ratio === 4) return []
+  if (ratio.ratio === 3) return ['3:1']
+  return ratio.resources.map(k => `2:1 ${k}`)
+}
+
+// Development card play parser: "<A> used [card image | card name]"
+// Image basenames (card_knight, card_monopoly, ...) and text are both checked.
+function parseDevCardPlayEvent (lineText, node) {
+  if (!/\bused\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const imgs = node.querySelectorAll?.('img') || []
+  const haystack = [
+    lineText,
+    ...Array.from(imgs).map(
+      img => (img.currentSrc || img.src || '').split('/').pop() || ''
+    )
+  ].join(' ')
+  const card = Object.keys(DEV_CARD_HINTS).find(k =>
+    DEV_CARD_HINTS[k].test(haystack)
+  )
+  if (!card) return null
+  return { type: 'dev_play', player: playerName, card, rawText: lineText, node }
+}
+
+// Monopoly result parser: "<A> stole 5 [resource]" (no "from": every player
+// lost their cards of that resource)
+function parseMonopolyEvent (lineText, node) {
+  const m = lineText.match(/\bstole\s+(\d+)\b/i)
+  if (!m || /\bfrom\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const counts = countResourceImages(node)
+  const resource = RESOURCE_KEYS.find(k => counts[k] > 0)
+  if (!resource) return null
+  return {
+    type: 'monopoly',
+    player: playerName,
+    resource,
+    count: parseInt(m[1], 10),
+    rawText: lineText,
+    node
+  }
+}
+
+// Year of Plenty result parser: "<A> took from bank [icons]". Taking from the
+// bank without giving anything only happens through Year of Plenty; icons
+// before "took from bank" were given for them, so that line is a bank trade.
+function parseYearOfPlentyEvent (lineText, node) {
+  if (!/\btook from bank\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const [given, resources] = countResourceImagesAround(
+    node,
+    /\btook from bank\b/i
+  )
+  if (RESOURCE_KEYS.some(k => given[k] > 0)) return null
+  if (!RESOURCE_KEYS.some(k => resources[k] > 0)) return null
+  return {
+    type: 'year_of_plenty',
+    player: playerName,
+    resources,
+    rawText: lineText,
+    node
+  }
+}
+
+// Setup placement parser: "<A> placed a [settlement|road]". Setup pieces are
+// free, so this never spends resources (unlike `build`).
+function parsePlacedEvent (lineText, node) {
+  if (!/\bplaced a\b/i.test(lineText)) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  const items = getPlacedItems(node)
+  if (!items.length) return null
+  return { type: 'placed', player: playerName, items, rawText: lineText, node }
+}
+
+// Award parser: "<A> received Longest Road" / "... Largest Army"
+function parseAwardEvent (lineText, node) {
+  const award = /\blongest road\b/i.test(lineText)
+    ? 'longest_road'
+    : /\blargest army\b/i.test(lineText)
+      ? 'largest_army'
+      : null
+  if (!award) return null
+  const playerName = lineActor(lineText, node)
+  if (!playerName) return null
+  return { type: 'award', player: playerName, award, rawText: lineText, node }
+}
+
+// Register parsers in priority order (top-first match wins)
+eventParsers.push(parseDiceRollEvent)
+eventParsers.push(parseStartingResourcesEvent)
+eventParsers.push(parseDevCardPlayEvent)
+eventParsers.push(parseMonopolyEvent)
+eventParsers.push(parseYearOfPlentyEvent)
+eventParsers.push(parseBankTradeEvent)
+eventParsers.push(parseTradeEvent)
+eventParsers.push(parseGotEvent)
+eventParsers.push(parseStealEvent)
+eventParsers.push(parseDevCardPurchaseEvent)
+eventParsers.push(parseDiscardEvent)
+eventParsers.push(parseBuildEvent)
+eventParsers.push(parsePlacedEvent)
+eventParsers.push(parseAwardEvent)
+
+// First match wins; `parsers` defaults to the built-in registry (a tracker
+// passes its own list, which may include plugin parsers)
+export function parseLine (lineText, node, parsers = eventParsers) {
+  for (const parse of parsers) {
+    try {
+      const evt = parse(lineText, node)
+      if (evt) return withIdentity(evt, node)
+    } catch (e) {
+      warn('parser failed:', e)
+    }
+  }
+  return null
+}
+
+// Identity hints for state/identity.js: the colored names on the line and,
+// when it shows pieces, the actor's piece color
+function withIdentity (evt, node) {
+  const names = evt.names || lineNames(node)
+  const pieceColor = evt.pieceColor || getPieceColor(node)
+  return {
+    ...evt,
+    ...(names.length ? { names } : {}),
+    ...(pieceColor ? { pieceColor } : {})
+  }
+}
+
+// DOM extraction helpers ----------------------------------------------------
+
+// Individual die faces shown on a roll line (dice_<n> images)
+export function getDiceValues (node) {
+  const imgs = node.querySelectorAll?.('img') || []
+  const imgSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
+  return /** @type {number[]} */ (
+    imgSrcs
+      .map(src => {
+        const m = src.match(/dice_(\d+)/i)
+        return m ? parseInt(m[1], 10) : null
+      })
+      .filter(v => v !== null)
+  )
+}
+
+export function getDiceSum (node) {
+  const diceValues = getDiceValues(node)
+  if (diceValues.length) return diceValues.reduce((a, b) => a + b, 0)
+  return null
+}
+
+export function getPlacedItems (node) {
+  const imgs = node.querySelectorAll?.('img') || []
+  const imgSrcs = Array.from(imgs).map(img => img.currentSrc || img.src || '')
+  const items = new Set()
+  for (const src of imgSrcs) {
+    const file = src.split('/').pop() || ''
+    if (/icon_bot/i.test(file)) continue // skip avatar/bot markers
+    // Road examples: road_green.<hash>.svg ; allow variant/hashes
+    if (/^road_[^\.]+\.[a-z0-9]+\.svg/i.test(file)) items.add('road')
+    // Settlement examples (expected similar): settlement_<color>.<hash>.svg
+    if (/^settlement_[^\.]+\.[a-z0-9]+\.svg/i.test(file))
+      items.add('settlement')
+    // City examples: city_blue.<hash>.svg
+    if (/^city_[^\.]+\.[a-z0-9]+\.svg/i.test(file)) items.add('city')
+  }
+  return [...items]
+}
+
+// Piece color shown on a line (road_red / settlement_blue / city_<color>)
+export function getPieceColor (node) {
+  for (const file of imageBasenames(node)) {
+    const m = file.match(/^(?:road|settlement|city)_([a-z]+)\./i)
+    if (m) return m[1].toLowerCase()
+  }
+  return null
+}
@@ -0,0 +1,127 @@
+// Game persistence (localStorage)
+// -------------------------------
+// The journal + processed line sequence (dedup) of the current game are saved under a key
+// derived from the game ID in the URL, so a reload restores the tallies and
+// the re-scanned log lines are recognized as already processed. Entries older
+// than GAME_TTL_MS are purged at boot. localStorage (same place as the
+// overlay position) needs no extra manifest permission, but it is
+// colonist.io's own quota: only the tail of the line sequence is kept, and
+// when the quota is full our other saved games go first, oldest first.
+
+import { createLogger } from './logger.js'
+
+const { log, warn } = createLogger('state')
+
+const KEY_PREFIX = 'miniExplorerGame:'
+const FORMAT_VERSION = 1
+export const GAME_TTL_MS = 12 * 60 * 60 * 1000
+// Processed lines saved per game (dedup keeps up to 5000 in memory). A reload
+// re-scans what the page still shows, which is the tail of the log.
+export const MAX_SAVED_SIGNATURES = 1000
+
+// Colonist room/game IDs appear as the URL hash (colonist.io/#AbC1) or as a
+// path segment after /game/ or /room/. Returns null outside a game.
+export function gameIdFromUrl (href) {
+  try {
+    const url = new URL(href)
+    const hash = url.hash.replace(/^#/, '')
+    if (/^[A-Za-z0-9_-]{3,}$/.test(hash)) return hash
+    const m = url.pathname.match(/\/(?:game|room)\/([A-Za-z0-9_-]+)/i)
+    return m ? m[1] : null
+  } catch {
+    return null
+  }
+}
+
+/** @returns {{ v: number, savedAt: number, events: any[], signatures: any } | null} */
+export function loadGame (gameId) {
+  try {
+    const raw = localStorage.getItem(KEY_PREFIX + gameId)
+    if (!raw) return null
+    const data = JSON.parse(raw)
+    if (data?.v !== FORMAT_VERSION || !Array.isArray(data.events)) return null
+    if (Date.now() - data.savedAt > GAME_TTL_MS) return null
+    return data
+  } catch {
+    return null
+  }
+}
+
+// Our saved games as { key, savedAt }, oldest first (unreadable ones = 0)
+function savedGames () {
+  const games = []
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i)
+    if (!key?.startsWith(KEY_PREFIX)) continue
+    let savedAt = 0
+    try {
+      savedAt = JSON.parse(localStorage.getItem(key) || '{}').savedAt || 0
+    } catch {
+      /* unreadable -> oldest */
+    }
+    games.push({ key, savedAt })
+  }
+  return games.sort((a, b) => a.savedAt - b.savedAt)
+}
+
+function isQuotaError (e) {
+  return e instanceof DOMException && e.name === 'QuotaExceededError'
+}
+
+// Returns whether the game was saved. A full quota evicts our other saved
+// games (oldest first) until it fits.
+export function saveGame (gameId, { events, signatures }) {
+  const key = KEY_PREFIX + gameId
+  let evictable = null
+  try {
+    const raw = JSON.stringify({
+      v: FORMAT_VERSION,
+      savedAt: Date.now(),
+      events,
+      signatures
+    })
+    for (;;) {
+      try {
+        localStorage.setItem(key, raw)
+        return true
+      } catch (e) {
+        if (!isQuotaError(e)) throw e
+        evictable ??= savedGames().filter(g => g.key !== key)
+        const oldest = evictable.shift()
+        if (!oldest) throw e
+        localStorage.removeItem(oldest.key)
+        log(
+          'storage full, dropped saved game',
+          oldest.key.slice(KEY_PREFIX.length)
+        )
+      }
+    }
+  } catch (e) {
+    warn('saving game state failed:', e)
+    return false
+  }
+}
+
+export function forgetGame (gameId) {
+  try {
+    localStorage.removeItem(KEY_PREFIX + gameId)
+  } catch {
+    /* ignore */
+  }
+}
+
+// Drop saved games not touched within GAME_TTL_MS. Returns how many went.
+export function purgeStaleGames (now = Date.now()) {
+  let purged = 0
+  try {
+    for (const { key, savedAt } of savedGames()) {
+      if (now - savedAt > GAME_TTL_MS) {
+        localStorage.removeItem(key)
+        purged++
+      }
+    }
+  } catch {
+    /* ignore */
+  }
+  return purged
+}
@@ -0,0 +1,523 @@
+// Event reducer
+// -------------
+// Folds journaled events into the state modules (state/*.js) and derives the
+// rows the overlay / exports show. No rendering and no DOM access: all state
+// is a pure fold over the journal (see rebuildState).
+
+import { createLogger } from './logger.js'
+import { formatResourceSummary, harborLabels } from './parsers.js'
+
+const { log, warn } = createLogger('state')
+
+// One reducer per tracker instance, bound to its state modules (`state`, see
+// createState in core.js) and its journal.
+export function createReducer (state, journal) {
+  const {
+    ensurePlayer,
+    addResources,
+    spendResources,
+    stealResource,
+    tradeResources,
+    monopolyResources,
+    auditLog,
+    setAuditTime,
+    entries: playerEntries,
+    clearPlayers
+  } = state.players
+  const { recordHarbor, harborsFor, clearHarbors } = state.harbors
+  const { recordInflow, recordOutflow, flowRows, clearFlows } = state.flows
+  const {
+    recordPlay,
+    playsFor,
+    armySize,
+    takeFreeRoad,
+    clearDevPlays
+  } = state.devplays
+  const {
+    recordPurchase,
+    deckRemaining,
+    devCardEstimate,
+    clearDevCards
+  } = state.devcards
+  const {
+    recordBuilding,
+    setLongestRoad,
+    setLargestArmy,
+    updateLargestArmy,
+    victoryEstimate,
+    clearVictory
+  } = state.victory
+  const { openTurn, addTurnEntry, clearTurns } = state.turns
+  const {
+    startProductionRoll,
+    recordProduction,
+    productionFor,
+    producers,
+    shortages,
+    clearProduction
+  } = state.production
+  const { journalEvents } = journal
+  const { usePiece, piecesLeft, cappedPieces, clearPieces } = state.pieces
+  const {
+    recordDice,
+    getDiceCounts,
+    getFaceCounts,
+    diceRollers,
+    diceStats,
+    streakStats,
+    clearDice
+  } = state.dice
+  const { learn, resolveEvent, colorOf, isLocal } = state.identity
+
+  // True while rebuildState() folds the journal: per-event logs are muted.
+  let replaying = false
+  const logEvent = (...a) => {
+    if (!replaying) log(...a)
+  }
+  const warnEvent = (...a) => {
+    if (!replaying) warn(...a)
+  }
+
+  // Draw a piece from the player's supply and flag when they run out: a player
+  // with no settlements left can only build cities / roads.
+  function takePiece (player, item) {
+    const left = usePiece(player, item)
+    if (left === 0) warnEvent('pieces ->', player, `has no ${item}s left`)
+  }
+
+  // Fold one journaled event into state. No rendering, no DOM access, so the
+  // same function rebuilds everything from the journal (see rebuildState).
+  function reduceEvent (entry) {
+    // "You" -> the local player, once known (see state/identity.js)
+    const evt = resolveEvent(entry)
+    const auditMark = auditLog().length
+    setAuditTime(entry.ts)
+    // Any named player gets a row, even before they hold cards (e.g. setup).
+    if (evt.player) ensurePlayer(evt.player)
+    switch (evt.type) {
+      case 'starting_resources':
+        if (evt.player && evt.resources) {
+          addResources(evt.player, evt.resources)
+          recordInflow(evt.player, 'production', evt.resources)
+          const resSummary = formatResourceSummary(evt.resources)
+          logEvent(
+            'event starting_resources ->',
+            evt.player,
+            resSummary || '(no resource counts)'
+          )
+        }
+        break
+      case 'got':
+        if (evt.player && evt.resources) {
+          addResources(evt.player, evt.resources)
+          recordProduction(evt.player, evt.resources)
+          recordInflow(evt.player, 'production', evt.resources)
+          // Incremental: internal event log (will later replace external pre-parse logging)
+          const resSummary = formatResourceSummary(evt.resources)
+          logEvent(
+            'event got ->',
+            evt.player,
+            resSummary || '(no resource counts)'
+          )
+        }
+        break
+      case 'dice_roll':
+        if (typeof evt.diceSum === 'number') {
+          recordDice(evt.diceSum, evt.player, evt.dice)
+          openTurn(evt.player, evt.diceSum)
+          startProductionRoll(evt.diceSum)
+          logEvent(
+            'event dice_roll ->',
+            evt.player || '?',
+            'sum:',
+            evt.diceSum,
+            evt.dice?.length ? `(${evt.dice.join('+')})` : ''
+          )
+        }
+        break
+      case 'build':
+        if (evt.player) {
+          const items = evt.items || []
+          if (!items.length) {
+            logEvent(
+              'event build ->',
+              evt.player,
+              'items: (unrecognized yet)',
+              '(image filenames logged)'
+            )
+          } else {
+            for (const item of items) {
+              takePiece(evt.player, item)
+              switch (item) {
+                case 'road': {
+                  if (takeFreeRoad(evt.player)) {
+                    logEvent(
+                      'event build ->',
+                      evt.player,
+                      'road',
+                      '(road building)'
+                    )
+                    break
+                  }
+                  const spent = spendResources(
+                    evt.player,
+                    { wood: 1, brick: 1 },
+                    'built road'
+                  )
+                  recordOutflow(evt.player, 'build', { wood: 1, brick: 1 })
+                  logEvent(
+                    'event build ->',
+                    evt.player,
+                    'road',
+                    formatResourceSummary(spent) || '(no spend)'
+                  )
+                  break
+                }
+                case 'settlement': {
+                  const spent = spendResources(
+                    evt.player,
+                    { wood: 1, brick: 1, sheep: 1, wheat: 1 },
+                    'built settlement'
+                  )
+                  recordOutflow(evt.player, 'build', {
+                    wood: 1,
+                    brick: 1,
+                    sheep: 1,
+                    wheat: 1
+                  })
+                  recordBuilding(evt.player, 'settlement')
+                  logEvent(
+                    'event build ->',
+                    evt.player,
+                    'settlement',
+                    formatResourceSummary(spent) || '(no spend)'
+                  )
+                  break
+                }
+                case 'city': {
+                  const spent = spendResources(
+                    evt.player,
+                    { wheat: 2, ore: 3 },
+                    'built city'
+                  )
+                  recordOutflow(evt.player, 'build', { wheat: 2, ore: 3 })
+                  recordBuilding(evt.player, 'city')
+                  logEvent(
+                    'event build ->',
+                    evt.player,
+                    'city',
+                    formatResourceSummary(spent) || '(no spend)'
+                  )
+                  break
+                }
+                default:
+                  logEvent(
+                    'event build ->',
+                    evt.player,
+                    item,
+                    '(no cost logic)'
+                  )
+              }
+            }
+          }
+        }
+        break
+      case 'buy_devcard':
+        if (evt.player) {
+          const spent = spendResources(
+            evt.player,
+            { sheep: 1, wheat: 1, ore: 1 },
+            'bought dev card'
+          )
+          recordOutflow(evt.player, 'devcard', { sheep: 1, wheat: 1, ore: 1 })
+          recordPurchase(evt.player)
+          logEvent(
+            'event buy_devcard ->',
+            evt.player,
+            formatResourceSummary(spent) || '(no spend)',
+            `(deck: ${deckRemaining()} left)`
+          )
+        }
+        break
+      case 'discard':
+        if (evt.player && evt.resources) {
+          // Discarded cards are evidence like any spend; shortfalls reconcile.
+          const removed = spendResources(evt.player, evt.resources, 'discarded')
+          recordOutflow(evt.player, 'discard', evt.resources)
+          logEvent(
+            'event discard ->',
+            evt.player,
+            formatResourceSummary(removed) || '(no resources)'
+          )
+        }
+        break
+      case 'trade':
+        if (evt.player && evt.partner) {
+          tradeResources(evt.player, evt.partner, evt.given, evt.received)
+          recordOutflow(evt.player, 'trade', evt.given)
+          recordInflow(evt.player, 'trade', evt.received)
+          recordOutflow(evt.partner, 'trade', evt.received)
+          recordInflow(evt.partner, 'trade', evt.given)
+          logEvent(
+            'event trade ->',
+            evt.player,
+            'gave',
+            formatResourceSummary(evt.given) || '(nothing)',
+            'to',
+            evt.partner,
+            'for',
+            formatResourceSummary(evt.received) || '(nothing)'
+          )
+        }
+        break
+      case 'bank_trade':
+        if (evt.player && evt.received) {
+          spendResources(evt.player, evt.given, 'bank trade')
+          addResources(evt.player, evt.received)
+          recordOutflow(evt.player, 'bank', evt.given)
+          recordInflow(evt.player, 'bank', evt.received)
+          const harbors = harborLabels(evt.ratio)
+          for (const label of harbors) recordHarbor(evt.player, label)
+          logEvent(
+            'event bank_trade ->',
+            evt.player,
+            'gave',
+            formatResourceSummary(evt.given) || '(nothing)',
+            'took',
+            formatResourceSummary(evt.received),
+            evt.ratio ? `(${evt.ratio.ratio}:1)` : '',
+            harbors.length ? `harbors: ${harbors.join(', ')}` : ''
+          )
+        }
+        break
+      case 'dev_play':
+        if (evt.player && evt.card) {
+          recordPlay(evt.player, evt.card)
+          const tookArmy =
+            evt.card === 'knight' && updateLargestArmy(evt.player)
+          logEvent(
+            'event dev_play ->',
+            evt.player,
+            evt.card,
+            evt.card === 'knight' ? `(army: ${armySize(evt.player)})` : '',
+            tookArmy ? '(largest army)' : ''
+          )
+        }
+        break
+      case 'monopoly':
+        if (evt.player && evt.resource) {
+          const taken = monopolyResources(evt.player, evt.resource, evt.count)
+          recordInflow(evt.player, 'dev', { [evt.resource]: taken })
+          logEvent('event monopoly ->', evt.player, `${evt.resource}:${taken}`)
+        }
+        break
+      case 'year_of_plenty':
+        if (evt.player && evt.resources) {
+          addResources(evt.player, evt.resources)
+          recordInflow(evt.player, 'dev', evt.resources)
+          logEvent(
+            'event year_of_plenty ->',
+            evt.player,
+            formatResourceSummary(evt.resources)
+          )
+        }
+        break
+      case 'placed':
+        if (evt.player) {
+          for (const item of evt.items || []) {
+            takePiece(evt.player, item)
+            recordBuilding(evt.player, item)
+          }
+          logEvent('event placed ->', evt.player, (evt.items || []).join(', '))
+        }
+        break
+      case 'award':
+        if (evt.player) {
+          if (evt.award === 'longest_road') setLongestRoad(evt.player)
+          if (evt.award === 'largest_army') setLargestArmy(evt.player)
+          logEvent('event award ->', evt.player, evt.award)
+        }
+        break
+      case 'steal':
+        if (evt.player && evt.victim) {
+          const moved = stealResource(evt.player, evt.victim, evt.resource)
+          const card = { [moved || 'unknown']: 1 }
+          recordInflow(evt.player, 'steal', card)
+          recordOutflow(evt.victim, 'steal', card)
+          logEvent(
+            'event steal ->',
+            evt.player,
+            'from',
+            evt.victim,
+            moved || '(unknown card)'
+          )
+        }
+        break
+      // Future event types handled here.
+      default:
+        // (No side-effect yet) – intentionally silent.
+        break
+    }
+    if (evt.type !== 'dice_roll') {
+      addTurnEntry({
+        type: evt.type,
+        player: evt.player,
+        detail: describeEvent(evt)
+      })
+    }
+    // Shortfalls are evidence: surface any history corrections they caused.
+    for (const entry of auditLog().slice(auditMark)) {
+      warnEvent('reconciled ->', entry.player, entry.kind + ':', entry.detail)
+    }
+  }
+
+  // Reset every state module (not the journal, nor the identity learned from
+  // it) to its initial value
+  function clearState () {
+    clearPlayers()
+    clearHarbors()
+    clearDevPlays()
+    clearDevCards()
+    clearVictory()
+    clearPieces()
+    clearTurns()
+    clearProduction()
+    clearFlows()
+    clearDice()
+  }
+
+  // Rebuild all state as a fold over the journal. Event logging is muted while
+  // replaying; corrections found during the fold still land in the audit log.
+  function rebuildState (events = journalEvents()) {
+    clearState()
+    // Identity comes from the whole journal, also when folding a prefix
+    for (const evt of journalEvents()) learn(evt)
+    foldEvents(events)
+  }
+
+  // Fold more journal events onto the current state, logging muted (a
+  // rewound view moving forward continues its fold instead of rebuilding)
+  function foldEvents (events) {
+    replaying = true
+    try {
+      for (const evt of events) reduceEvent(evt)
+    } finally {
+      replaying = false
+    }
+  }
+
+  // One-line, human readable description for the turn timeline
+  function describeEvent (evt) {
+    const res = r => formatResourceSummary(r) || 'nothing'
+    switch (evt.type) {
+      case 'starting_resources':
+        return `${evt.player} started with ${res(evt.resources)}`
+      case 'got':
+        return `${evt.player} got ${res(evt.resources)}`
+      case 'build':
+        return `${evt.player} built ${(evt.items || []).join(', ') || '?'}`
+      case 'placed':
+        return `${evt.player} placed ${(evt.items || []).join(', ')}`
+      case 'buy_devcard':
+        return `${evt.player} bought a dev card`
+      case 'dev_play':
+        return `${evt.player} played ${evt.card.replace(/_/g, ' ')}`
+      case 'monopoly':
+        return `${evt.player} monopolized ${evt.resource} (${evt.count})`
+      case 'year_of_plenty':
+        return `${evt.player} took ${res(evt.resources)} (year of plenty)`
+      case 'discard':
+        return `${evt.player} discarded ${res(evt.resources)}`
+      case 'trade':
+        return `${evt.player} traded ${res(evt.given)} for ${res(
+          evt.received
+        )} with ${evt.partner}`
+      case 'bank_trade':
+        return `${evt.player} traded ${res(evt.given)} for ${res(
+          evt.received
+        )} with bank`
+      case 'steal':
+        return `${evt.player} stole ${evt.resource || 'a card'} from ${
+          evt.victim
+        }`
+      case 'award':
+        return `${evt.player} took ${evt.award.replace(/_/g, ' ')}`
+      default:
+        return evt.rawText || evt.type
+    }
+  }
+
+  // Player rows for the overlay: hand summary merged with per-player extras
+  function overlayRows () {
+    return [...playerEntries()].map(([name, r]) => [
+      name,
+      {
+        ...r,
+        harbors: harborsFor(name),
+        plays: playsFor(name),
+        devcards: devCardEstimate(name),
+        vp: victoryEstimate(name),
+        pieces: piecesLeft(name),
+        capped: cappedPieces(name),
+        color: colorOf(name),
+        local: isLocal(name)
+      }
+    ])
+  }
+
+  // Global dice fit + streaks for the dice graph readout
+  function diceSummary () {
+    return { ...diceStats(), ...streakStats() }
+  }
+
+  // Per-player roll statistics (only players we've seen roll)
+  function diceRows () {
+    return diceRollers().map(player => [
+      player,
+      diceStats(getDiceCounts(player))
+    ])
+  }
+
+  // Income per roll per producing player + resources nobody produces
+  function productionRows () {
+    return {
+      players: producers().map(player => [player, productionFor(player)]),
+      shortages: shortages()
+    }
+  }
+
+  // Game-wide figures shown under the player table
+  function overlayMeta () {
+    return { deckRemaining: deckRemaining() }
+  }
+
+  // Final stats bundled with an export (recomputed from events on import)
+  function exportStats () {
+    return {
+      players: overlayRows().map(([player, r]) => ({ player, ...r })),
+      dice: {
+        counts: getDiceCounts(),
+        faces: getFaceCounts(),
+        stats: diceStats(),
+        streaks: streakStats()
+      },
+      production: productionRows(),
+      deckRemaining: deckRemaining(),
+      flows: flowRows(),
+      audit: auditLog()
+    }
+  }
+
+  return {
+    reduceEvent,
+    clearState,
+    rebuildState,
+    foldEvents,
+    overlayRows,
+    diceSummary,
+    diceRows,
+    productionRows,
+    overlayMeta,
+    exportStats
+  }
+}
@@ -0,0 +1,73 @@
+// Offline replay
+// --------------
+// Feeds saved HTML of a Colonist log container through the same pipeline as
+// the live page (processNode -> parseLine -> journal -> reduceEvent), one line
+// at a time in document order, and reports the resulting state plus every
+// candidate line no parser claimed. Needs only a DOM: runs in the browser or
+// under Node with jsdom (see scripts/replay.js).
+//
+// Saved logs for tests (fixtures/) can also replay what the page does to the
+// list besides appending lines:
+//   data-replay-visible="N" on the log container  only the newest N lines
+//                                                  stay in the DOM (virtual list)
+//   <div data-replay="rerender"></div>           every visible line is
+//                                                  replaced by a fresh copy
+
+import { CANDIDATE_LINE_REGEX } from './config.js'
+import { createExplorer } from './core.js'
+import { findLogContainer } from './dom.js'
+import { textFrom, imageBasenames } from './parsers.js'
+
+/**
+ * Replay saved log HTML in a fresh headless tracker (createExplorer).
+ * Lines are moved one by one into a container attached to `doc`, so dedup sees
+ * the same sibling context the mutation observer would.
+ * @returns {{ lines: number, parsed: number,
+ *   unparsed: Array<{ text: string, images: string[] }>,
+ *   players: any[], stats: any, coverage: any, events: any[] }}
+ */
+export function replayLogHtml (html, doc = document) {
+  const source = doc.createElement('div')
+  source.innerHTML = html
+  // Saved HTML may include wrappers around the log container
+  const container = findLogContainer(source, el =>
+    CANDIDATE_LINE_REGEX.test(textFrom(el))
+  )
+  const items = container ? Array.from(container.children) : []
+  const lines = items.filter(el => !el.dataset.replay)
+  const visible = Number(container?.dataset.replayVisible) || Infinity
+  const unparsed = []
+  const live = doc.createElement('div')
+  const explorer = createExplorer({
+    root: live,
+    onUnparsed: (text, node) => {
+      unparsed.push({ text, images: imageBasenames(node) })
+    }
+  })
+  doc.body.appendChild(live)
+  try {
+    for (const item of items) {
+      if (item.dataset.replay === 'rerender') {
+        const copies = Array.from(live.children, line => line.cloneNode(true))
+        live.replaceChildren(...copies)
+        copies.forEach(explorer.processNode)
+        continue
+      }
+      live.appendChild(item)
+      while (live.children.length > visible) live.firstElementChild?.remove()
+      explorer.processNode(item)
+    }
+  } finally {
+    live.remove()
+  }
+  const events = explorer.journal.journalEvents()
+  return {
+    lines: lines.length,
+    parsed: events.length,
+    unparsed,
+    players: explorer.snapshot(),
+    stats: explorer.stats(),
+    coverage: explorer.coverage(),
+    events
+  }
+}
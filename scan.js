@@ -0,0 +1,177 @@
+// Log line scanning
+// -----------------
+// Candidate line detection, sequence-alignment dedup and per-line diagnostics. What
+// happens to a parsed event is up to the caller (live overlay, offline replay).
+
+import { CANDIDATE_LINE_REGEX } from './config.js'
+import { createLogger } from './logger.js'
+import { lineSignature } from './dedup.js'
+import {
+  textFrom,
+  countResourceImages,
+  parseLine,
+  getDiceSum,
+  getPlacedItems
+} from './parsers.js'
+
+const { debug, log, warn } = createLogger('parse')
+const dedupLog = createLogger('dedup')
+
+function logEventDetails (lineText, node) {
+  const details = []
+  let sig = ''
+  try {
+    sig = lineSignature(lineText, node)
+  } catch {}
+  const resources = countResourceImages(node)
+  const nonZeroResources = Object.entries(resources).filter(([, v]) => v > 0)
+  if (nonZeroResources.length) {
+    details.push(
+      'resources: ' + nonZeroResources.map(([k, v]) => `${k}:${v}`).join(', ')
+    )
+  }
+  if (/\brolled\b/i.test(lineText)) {
+    const sum = getDiceSum(node)
+    if (sum !== null) details.push('dice: ' + sum)
+  }
+  if (/\bplaced a\b/i.test(lineText)) {
+    const placed = getPlacedItems(node)
+    if (placed.length) details.push(placed.join(', '))
+  }
+  if (/\bbuilt a\b/i.test(lineText)) {
+    try {
+      const imgs = node.querySelectorAll?.('img') || []
+      if (imgs.length) {
+        const names = Array.from(imgs)
+          .map(img => (img.currentSrc || img.src || '').split('/').pop())
+          .filter(Boolean)
+        if (names.length) details.push('build_imgs: ' + names.join('|'))
+      }
+    } catch {}
+  }
+  const parts = ['line:', lineText]
+  if (details.length) parts.push(...details)
+  debug(...parts)
+  dedupLog.debug('signature:', sig)
+}
+
+// Candidate siblings on each side of a line that dedup aligns against
+const WINDOW_CONTEXT = 40
+
+/**
+ * Line scanner for one tracker instance:
+ *   dedup                      - createDedup() memory of processed lines
+ *   parse(lineText, node)      - line -> event | null (default parseLine)
+ *   isCandidate(lineText)      - worth parsing? (default CANDIDATE_LINE_REGEX)
+ *   apply(evt)                 - journal / fold / render (caller decides)
+ *   unparsed?(lineText, node)  - candidate line no parser claimed
+ */
+export function createScanner ({
+  dedup,
+  parse = parseLine,
+  isCandidate = t => CANDIDATE_LINE_REGEX.test(t),
+  apply,
+  unparsed
+}) {
+  // innerText forces layout, and each line's window reads up to
+  // 2 * WINDOW_CONTEXT siblings: keep each node's text, checked against its
+  // textContent (no layout) so a node re-used for another line is read again
+  /** @type {WeakMap<Element, { raw: string, text: string }>} */
+  const lineTexts = new WeakMap()
+
+  function lineTextOf (node) {
+    const raw = node.textContent || ''
+    let cached = lineTexts.get(node)
+    if (!cached || cached.raw !== raw) {
+      cached = { raw, text: textFrom(node) }
+      lineTexts.set(node, cached)
+    }
+    return cached.text
+  }
+
+  // Signature of a sibling that is itself a candidate line, else null
+  function candidateSignature (node) {
+    try {
+      if (!isCandidate(node.textContent || '')) return null
+      const t = lineTextOf(node)
+      return t && isCandidate(t) ? lineSignature(t, node) : null
+    } catch {
+      return null
+    }
+  }
+
+  // The visible window dedup aligns: signatures of up to WINDOW_CONTEXT
+  // candidate siblings on each side of `node`, in order, and node's index
+  function lineWindow (node, sig) {
+    const before = []
+    const after = []
+    let prev = node.previousElementSibling
+    while (prev && before.length < WINDOW_CONTEXT) {
+      const s = candidateSignature(prev)
+      if (s) before.unshift(s)
+      prev = prev.previousElementSibling
+    }
+    let next = node.nextElementSibling
+    while (next && after.length < WINDOW_CONTEXT) {
+      const s = candidateSignature(next)
+      if (s) after.push(s)
+      next = next.nextElementSibling
+    }
+    return { lines: [...before, sig, ...after], index: before.length }
+  }
+
+  // Could `node` be a log line? Reads textContent (no layout), so it is cheap
+  // enough for log container discovery (see watchLog in dom.js). Never our
+  // own overlay (its timeline echoes log lines), elements wrapping it or the
+  // text of style / script elements.
+  function isLogLine (node) {
+    if (!(node instanceof HTMLElement)) return false
+    if (node.closest('#mini-explorer, style, script')) return false
+    if (node.querySelector('#mini-explorer')) return false
+    return isCandidate(node.textContent || '')
+  }
+
+  // Dedup one candidate log line, parse it and hand the event on
+  function processNode (node) {
+    if (!isLogLine(node)) return
+
+    const lineText = lineTextOf(node)
+    if (!lineText || !isCandidate(lineText)) return
+
+    // Re-rendered lines align with what was already processed (dedup.js)
+    const { lines, index } = lineWindow(node, lineSignature(lineText, node))
+    if (!dedup.alignLine(lines, index, lineText)) return
+
+    // Log diagnostic info regardless of whether any parser claims the line.
+    logEventDetails(lineText, node)
+
+    const evt = parse(lineText, node)
+    if (!evt) {
+      if (unparsed) unparsed(lineText, node)
+      return
+    }
+    try {
+      apply(evt)
+    } catch (e) {
+      warn('applyEvent failed for', evt.type, e)
+    }
+  }
+
+  // Process the lines already in the log container, in document order
+  function initialScan (container) {
+    let candidates = 0
+    for (const node of [...container.children]) {
+      if (isLogLine(node)) {
+        processNode(node)
+        candidates++
+      }
+    }
+    log('initial scan done. candidates:', candidates)
+  }
+
+  return {
+    isLogLine,
+    processNode,
+    initialScan
+  }
+}
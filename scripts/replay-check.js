@@ -0,0 +1,72 @@
+// Replay regression check: every fixtures/<name>.html log is replayed through
+// the pipeline and its report compared with fixtures/<name>.expected.json.
+// Usage: npm test [-- --update]
+//   --update  rewrite the expected files from the current reports
+
+import { readFileSync, readdirSync, writeFileSync, existsSync } from 'node:fs'
+import { JSDOM } from 'jsdom'
+
+const FIXTURES = new URL('../fixtures/', import.meta.url)
+const update = process.argv.includes('--update')
+
+// The pipeline reads DOM globals the way the content script does
+const dom = new JSDOM('<!doctype html><html><body></body></html>')
+for (const key of ['window', 'document', 'Node', 'HTMLElement']) {
+  globalThis[key] = dom.window[key]
+}
+
+const { replayLogHtml } = await import('../replay.js')
+const { setLogLevel } = await import('../logger.js')
+setLogLevel('silent')
+
+// The parts of a report that must not drift. Journal seq / ts and audit times
+// depend on when the replay ran, so they are left out (as are dice and
+// production stats, which only restate the roll events).
+function expectedShape (report) {
+  const { players, flows, deckRemaining, audit } = report.stats
+  return {
+    lines: report.lines,
+    parsed: report.parsed,
+    unparsed: report.unparsed.map(u => u.text),
+    players: report.players,
+    // Harbors, army, VP, dev card estimates and inferred ranges per player
+    stats: players,
+    flows,
+    deckRemaining,
+    audit: audit.map(({ time, ...entry }) => entry),
+    keywords: report.coverage.keywords,
+    events: report.events.map(({ seq, ts, ...evt }) => evt)
+  }
+}
+
+let failed = 0
+const logs = readdirSync(FIXTURES).filter(f => f.endsWith('.html'))
+for (const file of logs) {
+  const expectedFile = new URL(
+    file.replace(/\.html$/, '.expected.json'),
+    FIXTURES
+  )
+  const html = readFileSync(new URL(file, FIXTURES), 'utf8')
+  const actual = expectedShape(replayLogHtml(html))
+  if (update || !existsSync(expectedFile)) {
+    writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n')
+    console.log('updated', file)
+    continue
+  }
+  const expected = JSON.parse(readFileSync(expectedFile, 'utf8'))
+  const changed = Object.keys(expected).filter(
+    key => JSON.stringify(expected[key]) !== JSON.stringify(actual[key])
+  )
+  if (!changed.length) {
+    console.log('ok', file)
+    continue
+  }
+  failed++
+  console.log('FAIL', file)
+  for (const key of changed) {
+    console.log(`  ${key}: expected`, JSON.stringify(expected[key]))
+    console.log(`  ${key}: actual  `, JSON.stringify(actual[key]))
+  }
+}
+if (!logs.length) console.log('no fixtures in', FIXTURES.pathname)
+process.exit(failed ? 1 : 0)
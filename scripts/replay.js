@@ -0,0 +1,44 @@
+// Replay a saved Colonist log (HTML) through the parser pipeline under jsdom.
+// Usage: npm run replay -- <log.html> [--json] [--verbose]
+//   --json     print the full report (state, stats, events) as JSON
+//   --verbose  print the per-line pipeline logs (debug level)
+
+import { readFileSync } from 'node:fs'
+import { Console } from 'node:console'
+import { JSDOM } from 'jsdom'
+
+const args = process.argv.slice(2)
+const file = args.find(a => !a.startsWith('--'))
+if (!file) {
+  console.error('usage: npm run replay -- <log.html> [--json] [--verbose]')
+  process.exit(2)
+}
+
+// The pipeline reads DOM globals the way the content script does
+const dom = new JSDOM('<!doctype html><html><body></body></html>')
+for (const key of ['window', 'document', 'Node', 'HTMLElement']) {
+  globalThis[key] = dom.window[key]
+}
+// Report output bypasses console.log; pipeline logs (all levels) are muted
+// unless --verbose
+const out = new Console(process.stdout, process.stderr)
+if (!args.includes('--verbose')) console.log = () => {}
+
+const { replayLogHtml } = await import('../replay.js')
+const { setLogLevel } = await import('../logger.js')
+// Per-line pipeline logs are debug level
+setLogLevel(args.includes('--verbose') ? 'debug' : 'silent')
+const report = replayLogHtml(readFileSync(file, 'utf8'))
+
+if (args.includes('--json')) {
+  out.log(JSON.stringify(report, null, 2))
+} else {
+  const { lines, parsed, unparsed } = report
+  out.log(`lines: ${lines}  parsed: ${parsed}  unparsed: ${unparsed.length}`)
+  out.table(report.players)
+  out.table(report.coverage.keywords)
+  for (const u of unparsed) {
+    const images = u.images.length ? `[${u.images.join(', ')}]` : ''
+    out.log('unparsed:', u.text, images)
+  }
+}
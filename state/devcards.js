@@ -0,0 +1,99 @@
+// Development card deck accounting
+// --------------------------------
+// Standard deck: 25 cards. Purchases are public but the card drawn is not;
+// plays reveal cards (victory points are only revealed at game end). Every
+// card not yet played, whether in the deck or in some hand, is equally
+// likely to be any of the unrevealed cards, so:
+//   unseen pool        = deck composition - cards played so far
+//   player's unplayed  = bought - played
+//   expected of type t = unplayed * unseen[t] / unseen total
+//   P(holds >= 1 VP)   = 1 - C(N - K, u) / C(N, u)   (hypergeometric)
+
+export const DEV_DECK = {
+  knight: 14,
+  victory_point: 5,
+  monopoly: 2,
+  year_of_plenty: 2,
+  road_building: 2
+}
+const DECK_SIZE = Object.values(DEV_DECK).reduce((a, b) => a + b, 0)
+
+// Deck accounting for one tracker instance; plays come from `devplays`
+// (createDevPlays()).
+export function createDevCards (devplays) {
+  const { playsFor, totalPlays } = devplays
+
+  /** @type {Map<string, number>} */
+  const bought = new Map()
+
+  function recordPurchase (player) {
+    bought.set(player, (bought.get(player) || 0) + 1)
+  }
+
+  function deckRemaining () {
+    let n = DECK_SIZE
+    for (const b of bought.values()) n -= b
+    return Math.max(0, n)
+  }
+
+  // Cards not yet revealed by a play, per type
+  function unseenPool () {
+    const played = totalPlays()
+    /** @type {Record<string, number>} */
+    const pool = {}
+    for (const [type, n] of Object.entries(DEV_DECK)) {
+      pool[type] = Math.max(0, n - (played[type] || 0))
+    }
+    return pool
+  }
+
+  // C(n, k) / C(m, k) without overflowing: product of (n - i) / (m - i)
+  function chooseRatio (n, m, k) {
+    if (k > n) return 0
+    let p = 1
+    for (let i = 0; i < k; i++) p *= (n - i) / (m - i)
+    return p
+  }
+
+  /**
+   * Estimate of a player's unplayed dev cards.
+   * @returns {{ bought: number, played: number, unplayed: number,
+   *   expected: Record<string, number>, vpExpected: number, vpChance: number }}
+   */
+  function devCardEstimate (player) {
+    const b = bought.get(player) || 0
+    const played = Object.values(playsFor(player)).reduce((a, n) => a + n, 0)
+    const unplayed = Math.max(0, b - played)
+    const pool = unseenPool()
+    const unseen = Object.values(pool).reduce((a, n) => a + n, 0)
+    /** @type {Record<string, number>} */
+    const expected = {}
+    for (const [type, n] of Object.entries(pool)) {
+      expected[type] = unseen ? (unplayed * n) / unseen : 0
+    }
+    const vp = pool.victory_point
+    const vpChance =
+      unseen && unplayed
+        ? 1 - chooseRatio(unseen - vp, unseen, Math.min(unplayed, unseen))
+        : 0
+    return {
+      bought: b,
+      played,
+      unplayed,
+      expected,
+      vpExpected: expected.victory_point,
+      vpChance
+    }
+  }
+
+  function clearDevCards () {
+    bought.clear()
+  }
+
+  return {
+    recordPurchase,
+    deckRemaining,
+    devCardEstimate,
+    clearDevCards
+  }
+}
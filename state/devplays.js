@@ -0,0 +1,72 @@
+// Development card plays per player
+// Tracks how many of each progress / knight card a player has played, their
+// army size (knights played) and free roads pending from Road Building.
+
+export const DEV_CARD_TYPES = [
+  'knight',
+  'monopoly',
+  'year_of_plenty',
+  'road_building'
+]
+
+// Dev card play counts for one tracker instance
+export function createDevPlays () {
+  /** @type {Map<string, Record<string, number>>} */
+  const plays = new Map()
+  /** @type {Map<string, number>} */
+  const freeRoads = new Map()
+
+  function ensure (player) {
+    if (!plays.has(player)) {
+      plays.set(player, Object.fromEntries(DEV_CARD_TYPES.map(t => [t, 0])))
+    }
+    return /** @type {Record<string, number>} */ (plays.get(player))
+  }
+
+  function recordPlay (player, card) {
+    const p = ensure(player)
+    p[card] = (p[card] || 0) + 1
+    if (card === 'road_building') {
+      freeRoads.set(player, (freeRoads.get(player) || 0) + 2)
+    }
+  }
+
+  function playsFor (player) {
+    return { ...ensure(player) }
+  }
+
+  // Plays summed over every player (all revealed cards)
+  function totalPlays () {
+    const totals = Object.fromEntries(DEV_CARD_TYPES.map(t => [t, 0]))
+    for (const p of plays.values()) {
+      for (const t of DEV_CARD_TYPES) totals[t] += p[t] || 0
+    }
+    return totals
+  }
+
+  function armySize (player) {
+    return plays.get(player)?.knight || 0
+  }
+
+  // Consume one free road (Road Building). Returns false when none pending.
+  function takeFreeRoad (player) {
+    const n = freeRoads.get(player) || 0
+    if (!n) return false
+    freeRoads.set(player, n - 1)
+    return true
+  }
+
+  function clearDevPlays () {
+    plays.clear()
+    freeRoads.clear()
+  }
+
+  return {
+    recordPlay,
+    playsFor,
+    totalPlays,
+    armySize,
+    takeFreeRoad,
+    clearDevPlays
+  }
+}
@@ -1,19 +1,128 @@
 // Dice roll statistics state (2-12 inclusive)
-// Provides simple accumulation + accessors
+// Provides simple accumulation + accessors, per-player attribution, die faces
+// and expected-vs-observed analysis.
 
-const _counts = {}
-for (let i = 2; i <= 12; i++) _counts[i] = 0
-
-export function recordDice (sum) {
-  if (typeof sum === 'number' && sum >= 2 && sum <= 12) {
-    _counts[sum] = (_counts[sum] || 0) + 1
-  }
+function emptyCounts () {
+  const c = {}
+  for (let i = 2; i <= 12; i++) c[i] = 0
+  return c
 }
 
-export function getDiceCounts () {
-  return { ..._counts }
+// P(sum) for two fair dice: 1/36, 2/36, ... 6/36 (at 7), ... 1/36
+export function expectedProbability (sum) {
+  if (sum < 2 || sum > 12) return 0
+  return (6 - Math.abs(sum - 7)) / 36
 }
 
-export function clearDice () {
+// Dice counters for one tracker instance
+export function createDice () {
+  const _counts = {}
   for (let i = 2; i <= 12; i++) _counts[i] = 0
+  /** @type {Map<string, Record<number, number>>} */
+  const _byPlayer = new Map()
+  const _faces = {}
+  for (let i = 1; i <= 6; i++) _faces[i] = 0
+  /** @type {Array<{ sum: number, player: string|null, faces: number[] }>} */
+  const _history = []
+
+  function recordDice (sum, player, faces) {
+    if (typeof sum === 'number' && sum >= 2 && sum <= 12) {
+      _counts[sum] = (_counts[sum] || 0) + 1
+      if (player) {
+        if (!_byPlayer.has(player)) _byPlayer.set(player, emptyCounts())
+        const c = /** @type {Record<number, number>} */ (_byPlayer.get(player))
+        c[sum]++
+      }
+      const validFaces = (faces || []).filter(f => f >= 1 && f <= 6)
+      for (const f of validFaces) _faces[f]++
+      _history.push({ sum, player: player || null, faces: validFaces })
+    }
+  }
+
+  // Global counts, or one player's counts when `player` is given
+  function getDiceCounts (player) {
+    if (player) return { ...(_byPlayer.get(player) || emptyCounts()) }
+    return { ..._counts }
+  }
+
+  function getFaceCounts () {
+    return { ..._faces }
+  }
+
+  function diceRollers () {
+    return [..._byPlayer.keys()]
+  }
+
+  /**
+   * Goodness of fit of observed counts against two fair dice.
+   * Chi-square has 10 degrees of freedom (11 sums); with an even df the upper
+   * tail has a closed form: p = e^(-x/2) * sum_{i<5} (x/2)^i / i!
+   * A small p-value means the rolls are unlikely under fair dice.
+   */
+  function diceStats (counts = _counts) {
+    let rolls = 0
+    let weighted = 0
+    for (let s = 2; s <= 12; s++) {
+      rolls += counts[s] || 0
+      weighted += s * (counts[s] || 0)
+    }
+    if (!rolls) return { rolls, mean: null, chiSquare: null, pValue: null }
+    let chiSquare = 0
+    for (let s = 2; s <= 12; s++) {
+      const expected = rolls * expectedProbability(s)
+      chiSquare += ((counts[s] || 0) - expected) ** 2 / expected
+    }
+    const half = chiSquare / 2
+    let term = 1
+    let sum = 1
+    for (let i = 1; i < 5; i++) {
+      term *= half / i
+      sum += term
+    }
+    return {
+      rolls,
+      mean: weighted / rolls,
+      chiSquare,
+      pValue: Math.min(1, Math.exp(-half) * sum)
+    }
+  }
+
+  // Streaks over the roll history (a "turn" = one roll)
+  function streakStats () {
+    let longestWithoutSeven = 0
+    let run = 0
+    let sevens = 0
+    for (const r of _history) {
+      if (r.sum === 7) {
+        sevens++
+        run = 0
+      } else {
+        run++
+        longestWithoutSeven = Math.max(longestWithoutSeven, run)
+      }
+    }
+    return {
+      sinceLastSeven: run,
+      longestWithoutSeven,
+      sevens,
+      expectedSevens: _history.length / 6
+    }
+  }
+
+  function clearDice () {
+    for (let i = 2; i <= 12; i++) _counts[i] = 0
+    for (let i = 1; i <= 6; i++) _faces[i] = 0
+    _byPlayer.clear()
+    _history.length = 0
+  }
+
+  return {
+    recordDice,
+    getDiceCounts,
+    getFaceCounts,
+    diceRollers,
+    diceStats,
+    streakStats,
+    clearDice
+  }
 }
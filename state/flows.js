@@ -0,0 +1,56 @@
+// Resource flow state
+// Per player, per resource and per source: how many cards came in and went
+// out ("production", "trade", "bank", "steal", "dev", "build", "discard").
+// Nominal amounts as the log states them; a hidden steal is booked under the
+// "unknown" resource. Feeds the CSV export.
+
+// Flow ledger for one tracker instance
+export function createFlows () {
+  /** @type {Map<string, Map<string, { in: number, out: number }>>} */
+  const flows = new Map()
+
+  function cell (player, resource, source) {
+    if (!flows.has(player)) flows.set(player, new Map())
+    const byKey = /** @type {Map<string, { in: number, out: number }>} */ (
+      flows.get(player)
+    )
+    const key = `${resource}|${source}`
+    if (!byKey.has(key)) byKey.set(key, { in: 0, out: 0 })
+    return /** @type {{ in: number, out: number }} */ (byKey.get(key))
+  }
+
+  function recordInflow (player, source, resources) {
+    for (const [resource, n] of Object.entries(resources || {})) {
+      if (n > 0) cell(player, resource, source).in += n
+    }
+  }
+
+  function recordOutflow (player, source, resources) {
+    for (const [resource, n] of Object.entries(resources || {})) {
+      if (n > 0) cell(player, resource, source).out += n
+    }
+  }
+
+  // Flat rows (player, resource, source, in, out) in first-seen order
+  function flowRows () {
+    const rows = []
+    for (const [player, byKey] of flows) {
+      for (const [key, v] of byKey) {
+        const [resource, source] = key.split('|')
+        rows.push({ player, resource, source, in: v.in, out: v.out })
+      }
+    }
+    return rows
+  }
+
+  function clearFlows () {
+    flows.clear()
+  }
+
+  return {
+    recordInflow,
+    recordOutflow,
+    flowRows,
+    clearFlows
+  }
+}
@@ -0,0 +1,433 @@
+// Hand inference engine
+// ---------------------
+// Instead of one definite count per resource we keep a set of candidate
+// "worlds". A world assigns every player a concrete hand and carries a weight
+// (its probability). Rules:
+//   - deterministic events (got, build, discard, ...) apply to every world
+//   - hidden information (a blind steal) branches each world once per resource
+//     the victim could have lost, weighted by how many of it they held
+//   - evidence (a spend needing a card) drops worlds that can't afford it
+// Identical worlds are merged and the set is capped at MAX_WORLDS (lowest
+// weights pruned) so it stays small over a long game.
+//
+// Reconciliation: every blind steal is remembered (`hidden`) and each world
+// records which resource it assumed was taken (`picks`). When a spend rules
+// out all but one pick we note the steal as resolved. When NO world can
+// afford a spend our history must be wrong: we first rewrite an earlier blind
+// steal won by that player (never one already settled) to the resource they
+// needed, and only then assume untracked income. Every correction lands in an
+// audit log.
+
+import { RESOURCE_KEYS } from '../config.js'
+
+const MAX_WORLDS = 2000
+const MAX_HIDDEN = 50
+const AMBIGUOUS = -1
+
+function toVector (resources) {
+  return RESOURCE_KEYS.map(k => (resources && resources[k]) || 0)
+}
+
+function fromVector (vec) {
+  /** @type {Record<string, number>} */
+  const out = {}
+  RESOURCE_KEYS.forEach((k, i) => {
+    if (vec[i]) out[k] = vec[i]
+  })
+  return out
+}
+
+function summaryText (resources) {
+  return Object.entries(resources)
+    .map(([k, v]) => `${k}:${v}`)
+    .join(', ')
+}
+
+function cloneWorld (w) {
+  return {
+    weight: w.weight,
+    hands: w.hands.map(h => [...h]),
+    picks: { ...w.picks }
+  }
+}
+
+function worldKey (w) {
+  return w.hands.map(h => h.join(',')).join('|')
+}
+
+/** @typedef {{ weight: number, hands: number[][], picks: Record<number, number> }} World */
+/** @typedef {{ id: number, thief: number, victim: number, label: string, resolved: boolean }} HiddenSteal */
+/** @typedef {{ time: number, player: string, kind: 'resolved'|'rewritten'|'assumed', detail: string }} AuditEntry */
+
+// One hand inference engine (worlds, steal registry, audit log). Every
+// tracker instance owns its own (see createExplorer in core.js).
+export function createHands () {
+  /** @type {string[]} player names; index = slot in every world's hands */
+  const players = []
+  /** @type {World[]} */
+  let worlds = [{ weight: 1, hands: [], picks: {} }]
+  /** @type {HiddenSteal[]} */
+  const hidden = []
+  let nextHiddenId = 1
+  /** @type {AuditEntry[]} */
+  const audit = []
+  // Journal time of the event being folded: audit entries carry it, so a
+  // rebuild reproduces the same audit log
+  let auditTime = 0
+
+  function record (player, kind, detail) {
+    audit.push({ time: auditTime, player, kind, detail })
+  }
+
+  function setAuditTime (ts) {
+    auditTime = ts || 0
+  }
+
+  // Merge identical worlds, renormalize weights and prune to MAX_WORLDS.
+  // Worlds with equal hands but different steal picks can never be told apart
+  // again, so those picks become AMBIGUOUS.
+  function compact () {
+    const byKey = new Map()
+    for (const w of worlds) {
+      const key = worldKey(w)
+      const prev = byKey.get(key)
+      if (!prev) {
+        byKey.set(key, w)
+        continue
+      }
+      prev.weight += w.weight
+      for (const id in w.picks) {
+        if (prev.picks[id] !== w.picks[id]) prev.picks[id] = AMBIGUOUS
+      }
+    }
+    let next = [...byKey.values()]
+    if (next.length > MAX_WORLDS) {
+      next.sort((a, b) => b.weight - a.weight)
+      next = next.slice(0, MAX_WORLDS)
+    }
+    const sum = next.reduce((a, w) => a + w.weight, 0) || 1
+    for (const w of next) w.weight /= sum
+    worlds = next
+  }
+
+  // Note blind steals that every remaining world now agrees on.
+  function settleHidden () {
+    for (const h of hidden) {
+      if (h.resolved) continue
+      const picks = new Set(worlds.map(w => w.picks[h.id]))
+      if (picks.size !== 1) continue
+      const [r] = picks
+      if (r === undefined || r === AMBIGUOUS) continue
+      h.resolved = true
+      record(
+        players[h.thief],
+        'resolved',
+        `${h.label} must have been ${RESOURCE_KEYS[r]}`
+      )
+    }
+  }
+
+  function playerIndex (name) {
+    let i = players.indexOf(name)
+    if (i === -1) {
+      i = players.push(name) - 1
+      for (const w of worlds) w.hands.push(RESOURCE_KEYS.map(() => 0))
+    }
+    return i
+  }
+
+  function playerNames () {
+    return [...players]
+  }
+
+  function worldCount () {
+    return worlds.length
+  }
+
+  function addCards (name, resources) {
+    const i = playerIndex(name)
+    const vec = toVector(resources)
+    for (const w of worlds) {
+      const h = w.hands[i]
+      for (let r = 0; r < vec.length; r++) h[r] += vec[r]
+    }
+  }
+
+  // Remove cards from a player's hand. Worlds in which the player couldn't
+  // afford the cards are discarded (the spend is evidence). If no world can
+  // afford it the history is reconciled first (see reconcile()).
+  // `reason` labels audit entries, e.g. "built city".
+  // Returns { spent, shortfall } as resource maps; shortfall is what had to be
+  // reconciled (from the most likely world).
+  function spendCards (name, costs, reason = 'spent') {
+    const i = playerIndex(name)
+    const vec = toVector(costs)
+    const affordable = worlds.filter(w =>
+      vec.every((n, r) => w.hands[i][r] >= n)
+    )
+    if (affordable.length) {
+      for (const w of affordable) {
+        const h = w.hands[i]
+        for (let r = 0; r < vec.length; r++) h[r] -= vec[r]
+      }
+      worlds = affordable
+      compact()
+      settleHidden()
+      return { spent: fromVector(vec), shortfall: {} }
+    }
+    const shortfall = reconcile(i, vec, reason)
+    for (const w of worlds) {
+      const h = w.hands[i]
+      for (let r = 0; r < vec.length; r++) h[r] -= vec[r]
+    }
+    compact()
+    settleHidden()
+    return { spent: fromVector(vec), shortfall }
+  }
+
+  // No world can afford `vec` for player i. For every world:
+  //   1. rewrite blind steals this player won (most recent first) so the card
+  //      taken was a resource they are short of; the victim gets back the card
+  //      we assumed and loses the rewritten one (clamped if we never saw it)
+  //   2. whatever is still missing is assumed to be untracked income
+  // Worlds needing the fewest assumed cards are kept (a rewritten steal is a
+  // better explanation than a missed line), then audited from the most likely.
+  function reconcile (i, vec, reason) {
+    // Steals later evidence already settled (resolved, or one pick in every
+    // world) are proven state: never rewrite those, assume income instead
+    const settled = new Set(
+      hidden
+        .filter(
+          h => h.resolved || new Set(worlds.map(w => w.picks[h.id])).size === 1
+        )
+        .map(h => h.id)
+    )
+    const candidates = worlds.map(w => {
+      const next = cloneWorld(w)
+      const h = next.hands[i]
+      const short = vec.map((n, r) => Math.max(0, n - h[r]))
+      const initial = [...short]
+      const rewrites = []
+      for (let k = hidden.length - 1; k >= 0; k--) {
+        const steal = hidden[k]
+        if (steal.thief !== i || settled.has(steal.id)) continue
+        const pick = next.picks[steal.id]
+        if (pick === undefined || pick === AMBIGUOUS) continue
+        if (short[pick] || h[pick] <= vec[pick]) continue // can't spare it
+        const r = short.findIndex(n => n > 0)
+        if (r === -1) break
+        const victim = next.hands[steal.victim]
+        h[pick]--
+        h[r]++
+        victim[pick]++
+        if (victim[r] > 0) victim[r]--
+        short[r]--
+        next.picks[steal.id] = r
+        rewrites.push({ steal, from: pick, to: r })
+      }
+      for (let r = 0; r < vec.length; r++) h[r] += short[r]
+      const assumed = short.reduce((a, b) => a + b, 0)
+      return { world: next, rewrites, short, assumed, initial }
+    })
+    const fewest = Math.min(...candidates.map(c => c.assumed))
+    const kept = candidates.filter(c => c.assumed === fewest)
+    const best = kept.reduce((a, c) =>
+      c.world.weight > a.world.weight ? c : a
+    )
+    worlds = kept.map(c => c.world)
+
+    const player = players[i]
+    for (const { steal, from, to } of best.rewrites) {
+      record(
+        player,
+        'rewritten',
+        `${reason} needed ${RESOURCE_KEYS[to]}: ${steal.label} rewritten from ${RESOURCE_KEYS[from]} to ${RESOURCE_KEYS[to]}`
+      )
+    }
+    const assumed = fromVector(best.short)
+    if (best.assumed) {
+      record(
+        player,
+        'assumed',
+        `${reason} needed ${summaryText(assumed)} we never saw ${player} receive; assumed missed income`
+      )
+    }
+    return fromVector(best.initial)
+  }
+
+  // Move one card of a known resource from victim to thief.
+  function moveKnownCard (thief, victim, resource) {
+    const { spent } = spendCards(
+      victim,
+      { [resource]: 1 },
+      `stolen by ${thief}`
+    )
+    addCards(thief, { [resource]: 1 })
+    return spent
+  }
+
+  // Move one card of unknown type from victim to thief, branching every world
+  // by the resource the victim may have lost. The steal is remembered so later
+  // evidence can resolve (or rewrite) it.
+  function moveHiddenCard (thief, victim) {
+    const t = playerIndex(thief)
+    const v = playerIndex(victim)
+    const id = nextHiddenId++
+    hidden.push({
+      id,
+      thief: t,
+      victim: v,
+      label: `steal #${id} (${thief} from ${victim})`,
+      resolved: false
+    })
+    if (hidden.length > MAX_HIDDEN) {
+      const dropped = hidden.shift()
+      for (const w of worlds) delete w.picks[dropped.id]
+    }
+    const next = []
+    for (const w of worlds) {
+      const h = w.hands[v]
+      const held = h.reduce((a, b) => a + b, 0)
+      if (!held) continue // victim must have had a card
+      for (let r = 0; r < h.length; r++) {
+        if (!h[r]) continue
+        const branch = cloneWorld(w)
+        branch.weight = (w.weight * h[r]) / held
+        branch.hands[v][r]--
+        branch.hands[t][r]++
+        branch.picks[id] = r
+        next.push(branch)
+      }
+    }
+    if (!next.length) {
+      // Our victim tally is empty in every world (missed income); the thief
+      // still gained a card, so spread it evenly across resource types.
+      record(
+        thief,
+        'assumed',
+        `steal #${id}: ${victim} had no tracked cards; assumed missed income`
+      )
+      for (const w of worlds) {
+        for (let r = 0; r < RESOURCE_KEYS.length; r++) {
+          const branch = cloneWorld(w)
+          branch.weight = w.weight / RESOURCE_KEYS.length
+          branch.hands[t][r]++
+          next.push(branch)
+        }
+      }
+    }
+    worlds = next
+    compact()
+    settleHidden()
+  }
+
+  // Monopoly: every other player hands all of `resource` to the caster. When
+  // the log states how many cards were taken (`count`), worlds that disagree
+  // are ruled out; if none agree our tallies were off, so the caster is
+  // credited `count` anyway and the gap audited.
+  // Returns the number of cards moved (in the most likely world).
+  function monopolize (name, resource, count) {
+    const i = playerIndex(name)
+    const r = RESOURCE_KEYS.indexOf(resource)
+    if (r === -1) return 0
+    const moved = w =>
+      w.hands.reduce((a, h, p) => (p === i ? a : a + h[r]), 0)
+    let next = worlds
+    if (typeof count === 'number') {
+      const agreeing = worlds.filter(w => moved(w) === count)
+      if (agreeing.length) {
+        next = agreeing
+      } else {
+        record(
+          name,
+          'assumed',
+          `monopoly on ${resource} took ${count}; tallies didn't match, others set to 0`
+        )
+      }
+    }
+    let best = null
+    for (const w of next) {
+      const n = moved(w)
+      w.hands.forEach((h, p) => {
+        if (p !== i) h[r] = 0
+      })
+      w.hands[i][r] += typeof count === 'number' ? count : n
+      if (!best || w.weight > best.weight) best = { weight: w.weight, n }
+    }
+    worlds = next
+    compact()
+    settleHidden()
+    return typeof count === 'number' ? count : best?.n || 0
+  }
+
+  /**
+   * Per-player view over all worlds.
+   * @returns {{ total: number, totalMin: number, totalMax: number,
+   *   resources: Record<string, { min: number, max: number, expected: number,
+   *   dist: Array<[number, number]> }> }}
+   */
+  function handSummary (name) {
+    const i = players.indexOf(name)
+    const resources = {}
+    RESOURCE_KEYS.forEach((k, r) => {
+      const dist = new Map()
+      let expected = 0
+      for (const w of worlds) {
+        const n = i === -1 ? 0 : w.hands[i][r]
+        dist.set(n, (dist.get(n) || 0) + w.weight)
+        expected += n * w.weight
+      }
+      const counts = [...dist.keys()]
+      resources[k] = {
+        min: Math.min(...counts),
+        max: Math.max(...counts),
+        expected,
+        dist: [...dist.entries()].sort((a, b) => a[0] - b[0])
+      }
+    })
+    let totalMin = Infinity
+    let totalMax = 0
+    let total = 0
+    for (const w of worlds) {
+      const n = i === -1 ? 0 : w.hands[i].reduce((a, b) => a + b, 0)
+      totalMin = Math.min(totalMin, n)
+      totalMax = Math.max(totalMax, n)
+      total += n * w.weight
+    }
+    return {
+      total: Math.round(total),
+      totalMin: totalMin === Infinity ? 0 : totalMin,
+      totalMax,
+      resources
+    }
+  }
+
+  /** @returns {AuditEntry[]} */
+  function getAudit () {
+    return [...audit]
+  }
+
+  function clearHands () {
+    players.length = 0
+    worlds = [{ weight: 1, hands: [], picks: {} }]
+    hidden.length = 0
+    nextHiddenId = 1
+    audit.length = 0
+    auditTime = 0
+  }
+
+  return {
+    playerIndex,
+    playerNames,
+    worldCount,
+    addCards,
+    spendCards,
+    moveKnownCard,
+    moveHiddenCard,
+    monopolize,
+    handSummary,
+    getAudit,
+    setAuditTime,
+    clearHands
+  }
+}
@@ -0,0 +1,29 @@
+// Harbor inference state
+// Bank trades reveal the ratio a player used: 3:1 means they own a generic
+// harbor, 2:1 means they own the harbor for the resource they gave. We keep
+// the set of harbors each player must own ("3:1", "2:1 ore").
+
+// Harbor registry for one tracker instance
+export function createHarbors () {
+  /** @type {Map<string, Set<string>>} */
+  const harbors = new Map()
+
+  function recordHarbor (player, label) {
+    if (!harbors.has(player)) harbors.set(player, new Set())
+    harbors.get(player)?.add(label)
+  }
+
+  function harborsFor (player) {
+    return [...(harbors.get(player) || [])].sort()
+  }
+
+  function clearHarbors () {
+    harbors.clear()
+  }
+
+  return {
+    recordHarbor,
+    harborsFor,
+    clearHarbors
+  }
+}
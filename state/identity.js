@@ -0,0 +1,114 @@
+// Player identity
+// ---------------
+// The log names players through colored name elements and shows "You" for
+// the local player. Each name is linked to its name color (from the log) and
+// its piece color (road_ / settlement_ / city_<color> images); "You" resolves
+// to the player sharing its name or piece color once that player has been
+// named. Identity is learned from the whole journal, so it survives state
+// rebuilds and partial folds (time travel) alike.
+
+const LOCAL_ALIAS = /^you$/i
+
+// One identity registry (per tracker instance)
+export function createIdentity () {
+  /** @type {Map<string, string>} player -> CSS color of their name */
+  const nameColors = new Map()
+  /** @type {Map<string, string>} player -> piece color ("red", "blue", ...) */
+  const pieceColors = new Map()
+  let localNameColor = null
+  let localPieceColor = null
+  let localPlayer = null
+
+  // Learn from one journaled event ({ names, player, pieceColor }). Returns
+  // true when this event identified the local player: events already folded
+  // under "You" then need a rebuild.
+  function learn (evt) {
+    for (const { name, color } of evt.names || []) {
+      if (!name || !color) continue
+      if (LOCAL_ALIAS.test(name)) localNameColor = color
+      else if (!nameColors.has(name)) nameColors.set(name, color)
+    }
+    if (evt.player && evt.pieceColor) {
+      if (LOCAL_ALIAS.test(evt.player)) localPieceColor = evt.pieceColor
+      else pieceColors.set(evt.player, evt.pieceColor)
+    }
+    if (localPlayer) return false
+    localPlayer = findLocalPlayer()
+    return localPlayer !== null
+  }
+
+  function findLocalPlayer () {
+    for (const [name, color] of nameColors) {
+      if (localNameColor && color === localNameColor) return name
+    }
+    for (const [name, color] of pieceColors) {
+      if (localPieceColor && color === localPieceColor) return name
+    }
+    return null
+  }
+
+  // Canonical player name: "You" / "you" -> the local player (or "You" until
+  // they are known)
+  function resolve (name) {
+    if (!name || !LOCAL_ALIAS.test(name)) return name
+    return localPlayer || 'You'
+  }
+
+  // Copy of an event with its player fields resolved
+  function resolveEvent (evt) {
+    const out = { ...evt }
+    for (const key of ['player', 'victim', 'partner']) {
+      if (out[key]) out[key] = resolve(out[key])
+    }
+    return out
+  }
+
+  // Row color for a player: their name color, else their piece color
+  function colorOf (name) {
+    const local = name === localPlayer || name === 'You'
+    return (
+      nameColors.get(name) ||
+      (local && localNameColor) ||
+      pieceColors.get(name) ||
+      (local && localPieceColor) ||
+      null
+    )
+  }
+
+  function isLocal (name) {
+    return localPlayer ? name === localPlayer : name === 'You'
+  }
+
+  function identityRows () {
+    const names = new Set([...nameColors.keys(), ...pieceColors.keys()])
+    if (localPlayer) names.add(localPlayer)
+    return [...names].map(player => ({
+      player,
+      nameColor: colorOf(player) || '',
+      pieceColor:
+        pieceColors.get(player) ||
+        (player === localPlayer && localPieceColor) ||
+        '',
+      local: player === localPlayer
+    }))
+  }
+
+  function clearIdentity () {
+    nameColors.clear()
+    pieceColors.clear()
+    localNameColor = null
+    localPieceColor = null
+    localPlayer = null
+  }
+
+  return {
+    learn,
+    resolve,
+    resolveEvent,
+    colorOf,
+    isLocal,
+    localPlayer: () => localPlayer,
+    identityRows,
+    clearIdentity
+  }
+}
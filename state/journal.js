@@ -0,0 +1,50 @@
+// Append-only event journal
+// -------------------------
+// Every parsed event is stored in order, without its DOM node, with a
+// sequence number and timestamp. All tracker state is a fold over this list,
+// so it can be rebuilt (and later replayed, corrected or persisted) at will.
+
+// One append-only journal (per tracker instance)
+export function createJournal () {
+  /** @typedef {{ seq: number, ts: number, type: string, [key: string]: any }} JournalEntry */
+
+  /** @type {JournalEntry[]} */
+  const entries = []
+  let nextSeq = 1
+
+  // Store an event, returning the frozen journal entry (node stripped)
+  function appendEvent (evt, ts = Date.now()) {
+    const { node, ...data } = evt
+    const entry = Object.freeze({ ...data, seq: nextSeq++, ts })
+    entries.push(entry)
+    return entry
+  }
+
+  function journalEvents () {
+    return [...entries]
+  }
+
+  function journalLength () {
+    return entries.length
+  }
+
+  // Replace the journal with previously saved entries (persistence restore)
+  function loadJournal (saved) {
+    entries.length = 0
+    for (const e of saved) entries.push(Object.freeze({ ...e }))
+    nextSeq = entries.reduce((max, e) => Math.max(max, e.seq || 0), 0) + 1
+  }
+
+  function clearJournal () {
+    entries.length = 0
+    nextSeq = 1
+  }
+
+  return {
+    appendEvent,
+    journalEvents,
+    journalLength,
+    loadJournal,
+    clearJournal
+  }
+}
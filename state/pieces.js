@@ -0,0 +1,50 @@
+// Piece inventory per player
+// Every player starts with 15 roads, 5 settlements and 4 cities. Setup
+// placements and builds draw from it; upgrading to a city returns the
+// settlement piece to the supply.
+
+export const PIECE_LIMITS = { road: 15, settlement: 5, city: 4 }
+
+// Piece supply for one tracker instance
+export function createPieces () {
+  /** @type {Map<string, Record<string, number>>} */
+  const pieces = new Map()
+
+  function ensure (player) {
+    if (!pieces.has(player)) pieces.set(player, { ...PIECE_LIMITS })
+    return /** @type {Record<string, number>} */ (pieces.get(player))
+  }
+
+  // Take one piece from the player's supply. Returns the pieces left of that
+  // kind (0 = cap reached); clamps at zero if we over-count.
+  function usePiece (player, item) {
+    const p = ensure(player)
+    if (!(item in p)) return null
+    p[item] = Math.max(0, p[item] - 1)
+    if (item === 'city') {
+      p.settlement = Math.min(PIECE_LIMITS.settlement, p.settlement + 1)
+    }
+    return p[item]
+  }
+
+  function piecesLeft (player) {
+    return { ...ensure(player) }
+  }
+
+  // Piece kinds the player has none of left
+  function cappedPieces (player) {
+    const p = ensure(player)
+    return Object.keys(p).filter(k => p[k] === 0)
+  }
+
+  function clearPieces () {
+    pieces.clear()
+  }
+
+  return {
+    usePiece,
+    piecesLeft,
+    cappedPieces,
+    clearPieces
+  }
+}
@@ -1,67 +1,135 @@
 import { RESOURCE_KEYS } from '../config.js'
 
+// Player resource state (facade over the hand inference engine in hands.js).
+// Callers keep thinking in "add / spend / steal"; uncertainty is surfaced
+// through the summary rows returned by entries() / snapshot().
+
+/** @typedef {Object} ResourceRange
+ *  @property {number} min
+ *  @property {number} max
+ *  @property {number} expected
+ *  @property {Array<[number, number]>} dist  [count, probability] pairs
+ */
 /** @typedef {Object} PlayerResources
- *  @property {number} wood
+ *  @property {number} wood     certain (minimum) count; same for the others
  *  @property {number} brick
  *  @property {number} sheep
  *  @property {number} wheat
  *  @property {number} ore
+ *  @property {number} unknown  cards whose type isn't pinned down yet
  *  @property {number} total
+ *  @property {Record<string, ResourceRange>} ranges
  */
-/** @type {Map<string, PlayerResources>} */
-const players = new Map()
 
-export function ensurePlayer (name) {
-  if (!players.has(name)) {
-    players.set(name, {
-      wood: 0,
-      brick: 0,
-      sheep: 0,
-      wheat: 0,
-      ore: 0,
-      total: 0
-    })
+// Player facade over one hand engine (`hands` = createHands()).
+export function createPlayers (hands) {
+  const {
+    playerIndex,
+    playerNames,
+    addCards,
+    spendCards,
+    moveKnownCard,
+    moveHiddenCard,
+    monopolize,
+    handSummary,
+    getAudit,
+    setAuditTime,
+    clearHands
+  } = hands
+
+  function ensurePlayer (name) {
+    playerIndex(name)
+    return summarize(name)
   }
-  return /** @type {PlayerResources} */ (players.get(name))
-}
-export function entries () {
-  return players.entries()
-}
-export function clearPlayers () {
-  players.clear()
-}
-export function addResources (name, resources) {
-  const p = ensurePlayer(name)
-  for (const key of RESOURCE_KEYS) {
-    const n = resources[key] || 0
-    if (n) {
-      p[key] += n
-      p.total += n
+  /** @returns {PlayerResources} */
+  function summarize (name) {
+    const s = handSummary(name)
+    /** @type {any} */
+    const row = {}
+    let certain = 0
+    for (const key of RESOURCE_KEYS) {
+      row[key] = s.resources[key].min
+      certain += row[key]
     }
+    row.unknown = Math.max(0, s.total - certain)
+    row.total = s.total
+    row.ranges = s.resources
+    return row
   }
-}
-// Spend (decrement) resources for a player. Clamps at zero & adjusts total by the
-// actual amount removed so total always matches sum of individual resources.
-// Returns an object of what was actually spent.
-export function spendResources (name, costs) {
-  const p = ensurePlayer(name)
-  /** @type {Record<string, number>} */
-  const spent = {}
-  let totalRemoved = 0
-  for (const key of RESOURCE_KEYS) {
-    const want = costs[key] || 0
-    if (!want) continue
-    const have = p[key] || 0
-    const remove = Math.min(have, want)
-    if (remove > 0) {
-      p[key] = have - remove
-      spent[key] = remove
-      totalRemoved += remove
+  /** @returns {IterableIterator<[string, PlayerResources]>} */
+  function entries () {
+    return new Map(playerNames().map(name => [name, summarize(name)])).entries()
+  }
+  function clearPlayers () {
+    clearHands()
+  }
+  function addResources (name, resources) {
+    addCards(name, resources)
+  }
+  // Spend (decrement) resources for a player. Worlds where the player couldn't
+  // afford the cost are ruled out; if none can, history is reconciled and the
+  // correction audited (see hands.js). `reason` labels the audit entry.
+  // Returns an object of what was spent.
+  function spendResources (name, costs, reason) {
+    return spendCards(name, costs, reason).spent
+  }
+  // Reconciliation audit trail (resolved / rewritten steals, assumed income)
+  function auditLog () {
+    return getAudit()
+  }
+  // Move one stolen card from victim to thief.
+  // - resource known (our own steal or a visible card icon): move that exact card
+  // - resource hidden: branch on every resource the victim could have lost
+  // Returns the resource key moved when it is certain, otherwise null.
+  function stealResource (thief, victim, resource) {
+    if (resource) {
+      moveKnownCard(thief, victim, resource)
+      return resource
     }
+    const before = handSummary(thief).resources
+    moveHiddenCard(thief, victim)
+    const after = handSummary(thief).resources
+    const pinned = RESOURCE_KEYS.filter(k => after[k].min > before[k].min)
+    return pinned.length === 1 ? pinned[0] : null
+  }
+  // Player-to-player trade: both sides must have held what they handed over,
+  // so both spends count as evidence before the cards change hands.
+  function tradeResources (name, partner, given, received) {
+    spendCards(name, given, `traded to ${partner}`)
+    spendCards(partner, received, `traded to ${name}`)
+    addCards(partner, given)
+    addCards(name, received)
+  }
+  // Monopoly: caster takes every other player's `resource`. `count` (when the
+  // log shows it) is evidence for how many the others held.
+  // Returns the number of cards taken.
+  function monopolyResources (name, resource, count) {
+    return monopolize(name, resource, count)
+  }
+  // Compact "wood 0-1, ore 1-2" description of uncertain resources
+  function describeUncertainty (ranges) {
+    return RESOURCE_KEYS.filter(k => ranges[k].min !== ranges[k].max)
+      .map(k => `${k} ${ranges[k].min}-${ranges[k].max}`)
+      .join(', ')
+  }
+  function snapshot () {
+    return playerNames().map(player => {
+      const { ranges, ...r } = summarize(player)
+      return { player, ...r, uncertain: describeUncertainty(ranges) }
+    })
+  }
+
+  return {
+    ensurePlayer,
+    entries,
+    clearPlayers,
+    addResources,
+    spendResources,
+    auditLog,
+    setAuditTime,
+    stealResource,
+    tradeResources,
+    monopolyResources,
+    snapshot
   }
-  if (totalRemoved) p.total = Math.max(0, p.total - totalRemoved)
-  return spent
-}
-export function snapshot () {
-  return [...players.entries()].map(([player, r]) => ({ player, ...r }))
 }
@@ -0,0 +1,104 @@
+import { RESOURCE_KEYS } from '../config.js'
+import { expectedProbability } from './dice.js'
+
+// Production model
+// ----------------
+// Every `got` line after a dice roll tells us what that number paid a
+// player. We learn each player's yield per dice number (the latest payout we
+// saw; cities & new settlements raise it, the robber can lower it) and from
+// that the expected income per roll:
+//   expected = sum over n of P(n) * cards paid on n
+// Actual income is everything produced divided by the rolls observed.
+
+function emptyResources () {
+  return Object.fromEntries(RESOURCE_KEYS.map(k => [k, 0]))
+}
+
+// Production model for one tracker instance
+export function createProduction () {
+  /** @type {Map<string, Map<number, Record<string, number>>>} player -> number -> yield */
+  const yields = new Map()
+  /** @type {Map<string, Record<string, number>>} */
+  const produced = new Map()
+  let rolls = 0
+  /** @type {{ sum: number, payouts: Map<string, Record<string, number>> } | null} */
+  let currentRoll = null
+
+  function startProductionRoll (sum) {
+    rolls++
+    currentRoll = { sum, payouts: new Map() }
+  }
+
+  // Attribute a `got` payout to the current roll. Returns false when there is
+  // no roll to attribute it to (e.g. before the first roll).
+  function recordProduction (player, resources) {
+    if (!currentRoll || currentRoll.sum === 7) return false
+    const payout = currentRoll.payouts.get(player) || emptyResources()
+    const total = produced.get(player) || emptyResources()
+    for (const k of RESOURCE_KEYS) {
+      payout[k] += resources[k] || 0
+      total[k] += resources[k] || 0
+    }
+    currentRoll.payouts.set(player, payout)
+    produced.set(player, total)
+    if (!yields.has(player)) yields.set(player, new Map())
+    yields.get(player)?.set(currentRoll.sum, { ...payout })
+    return true
+  }
+
+  function sumOf (resources) {
+    return RESOURCE_KEYS.reduce((a, k) => a + (resources[k] || 0), 0)
+  }
+
+  /**
+   * @returns {{ expectedPerRoll: number, actualPerRoll: number,
+   *   expectedByResource: Record<string, number>,
+   *   numbers: Array<[number, Record<string, number>]> }}
+   */
+  function productionFor (player) {
+    const byNumber = yields.get(player) || new Map()
+    const expectedByResource = emptyResources()
+    for (const [n, y] of byNumber) {
+      for (const k of RESOURCE_KEYS) {
+        expectedByResource[k] += expectedProbability(n) * (y[k] || 0)
+      }
+    }
+    return {
+      expectedPerRoll: sumOf(expectedByResource),
+      actualPerRoll: rolls ? sumOf(produced.get(player) || {}) / rolls : 0,
+      expectedByResource,
+      numbers: [...byNumber.entries()].sort((a, b) => a[0] - b[0])
+    }
+  }
+
+  function producers () {
+    return [...yields.keys()]
+  }
+
+  // Resources no player is known to produce
+  function shortages () {
+    const produces = new Set()
+    for (const byNumber of yields.values()) {
+      for (const y of byNumber.values()) {
+        for (const k of RESOURCE_KEYS) if (y[k] > 0) produces.add(k)
+      }
+    }
+    return RESOURCE_KEYS.filter(k => !produces.has(k))
+  }
+
+  function clearProduction () {
+    yields.clear()
+    produced.clear()
+    rolls = 0
+    currentRoll = null
+  }
+
+  return {
+    startProductionRoll,
+    recordProduction,
+    productionFor,
+    producers,
+    shortages,
+    clearProduction
+  }
+}
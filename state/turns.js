@@ -0,0 +1,61 @@
+// Turn segmentation
+// A new turn opens at every dice roll with the roller as active player.
+// Everything applied before the first roll belongs to the setup phase
+// (turn 0). Each turn keeps compact entries for the timeline panel.
+
+// Turn list for one tracker instance
+export function createTurns () {
+  /** @typedef {{ type: string, player?: string, detail: string }} TurnEntry */
+  /** @typedef {{ index: number, player: string|null, roll: number|null, setup: boolean, entries: TurnEntry[] }} Turn */
+
+  /** @type {Turn[]} */
+  const turns = []
+
+  function setupTurn () {
+    return { index: 0, player: null, roll: null, setup: true, entries: [] }
+  }
+
+  function openTurn (player, roll) {
+    const turn = {
+      index: turns.length ? turns[turns.length - 1].index + 1 : 1,
+      player: player || null,
+      roll: typeof roll === 'number' ? roll : null,
+      setup: false,
+      entries: []
+    }
+    turns.push(turn)
+    return turn
+  }
+
+  function currentTurn () {
+    if (!turns.length) turns.push(setupTurn())
+    return turns[turns.length - 1]
+  }
+
+  /** @param {TurnEntry} entry */
+  function addTurnEntry (entry) {
+    currentTurn().entries.push(entry)
+  }
+
+  // Most recent turns first
+  function recentTurns (limit = 8) {
+    return turns.slice(-limit).reverse()
+  }
+
+  function allTurns () {
+    return [...turns]
+  }
+
+  function clearTurns () {
+    turns.length = 0
+  }
+
+  return {
+    openTurn,
+    currentTurn,
+    addTurnEntry,
+    recentTurns,
+    allTurns,
+    clearTurns
+  }
+}
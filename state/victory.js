@@ -0,0 +1,98 @@
+// Victory point estimator
+// Shown VP:  settlements (1) + cities (2) + Longest Road (2) + Largest Army (2)
+// Hidden VP: expected victory point cards among unplayed dev cards
+
+const LARGEST_ARMY_MIN = 3
+
+// Buildings & awards for one tracker instance; army size and hidden VP come
+// from `devplays` / `devcards`.
+export function createVictory (devplays, devcards) {
+  const { armySize } = devplays
+  const { devCardEstimate } = devcards
+
+  /** @type {Map<string, { settlements: number, cities: number }>} */
+  const buildings = new Map()
+  let longestRoad = null
+  let largestArmy = null
+
+  function ensure (player) {
+    if (!buildings.has(player)) {
+      buildings.set(player, { settlements: 0, cities: 0 })
+    }
+    return /** @type {{ settlements: number, cities: number }} */ (
+      buildings.get(player)
+    )
+  }
+
+  // Settlements & cities on the board. A city replaces a settlement.
+  function recordBuilding (player, item) {
+    const b = ensure(player)
+    if (item === 'settlement') b.settlements++
+    if (item === 'city') {
+      b.cities++
+      b.settlements = Math.max(0, b.settlements - 1)
+    }
+  }
+
+  function setLongestRoad (player) {
+    longestRoad = player
+  }
+
+  function setLargestArmy (player) {
+    largestArmy = player
+  }
+
+  // Re-evaluate Largest Army after a knight: the first player to reach 3 takes
+  // it and a challenger must then strictly exceed the holder's army.
+  // Returns true when the award changed hands.
+  function updateLargestArmy (player) {
+    const size = armySize(player)
+    if (size < LARGEST_ARMY_MIN || player === largestArmy) return false
+    if (largestArmy && size <= armySize(largestArmy)) return false
+    largestArmy = player
+    return true
+  }
+
+  function awards () {
+    return { longestRoad, largestArmy }
+  }
+
+  /**
+   * @returns {{ shown: number, hidden: number, total: number,
+   *   settlements: number, cities: number, longestRoad: boolean,
+   *   largestArmy: boolean }}
+   */
+  function victoryEstimate (player) {
+    const { settlements, cities } = ensure(player)
+    const hasRoad = longestRoad === player
+    const hasArmy = largestArmy === player
+    const shown =
+      settlements + 2 * cities + (hasRoad ? 2 : 0) + (hasArmy ? 2 : 0)
+    const hidden = devCardEstimate(player).vpExpected
+    return {
+      shown,
+      hidden,
+      total: shown + hidden,
+      settlements,
+      cities,
+      longestRoad: hasRoad,
+      largestArmy: hasArmy
+    }
+  }
+
+  function clearVictory () {
+    buildings.clear()
+    longestRoad = null
+    largestArmy = null
+  }
+
+  return {
+    recordBuilding,
+    setLongestRoad,
+    setLargestArmy,
+    updateLargestArmy,
+    awards,
+    victoryEstimate,
+    clearVictory
+  }
+}
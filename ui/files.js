@@ -0,0 +1,27 @@
+// File helpers for the overlay (download a generated file / pick a local one)
+
+export function downloadFile (filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// Open the file chooser; `onText(text, name)` receives the chosen file's text
+export function pickFile (accept, onText) {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = accept
+  input.addEventListener('change', () => {
+    const file = input.files?.[0]
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = () => onText(String(reader.result || ''), file.name)
+    reader.readAsText(file)
+  })
+  input.click()
+}
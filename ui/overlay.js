@@ -1,3 +1,28 @@
+import { RESOURCE_KEYS, IMAGE_HINTS } from '../config.js'
+import { pickFile } from './files.js'
+import {
+  getSettings,
+  updateSettings,
+  resetSettings,
+  SORT_ORDERS,
+  ICON_STYLES,
+  FONT_SIZE_RANGE,
+  OPACITY_RANGE
+} from './settings.js'
+import {
+  LOG_LEVELS,
+  LOG_CATEGORIES,
+  logSettings,
+  setLogLevel,
+  setLogCategory,
+  recentLogs,
+  clearLogs,
+  onLogEntry,
+  createLogger
+} from '../logger.js'
+
+const { warn } = createLogger('ui')
+
 let overlayBodyEl = null
 let diceGraphEl = null
 let overlayRoot = null
@@ -24,15 +49,25 @@ export function getOverlayBody () {
       userSelect: 'none'
     })
     root.innerHTML = `
-      <div id="mini-explorer-header" style="font-weight:600;margin-bottom:6px;cursor:move">Mini Explorer</div>
-      <div id="mini-explorer-body"></div>
-      <div id="mini-explorer-dice-graph" style="margin-top:6px"></div>
-      <div id="mini-explorer-debug" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:4px;pointer-events:auto"></div>
+      <div id="mini-explorer-header" style="font-weight:600;margin-bottom:6px;cursor:move;display:flex;align-items:center;gap:6px"><span class="mx-title" style="flex:1">Mini Explorer</span><span class="mx-title-short">MX</span></div>
+      <div id="mini-explorer-settings" hidden></div>
+      <div id="mini-explorer-content">
+        <div id="mini-explorer-scrubber" style="margin-bottom:6px"></div>
+        <div id="mini-explorer-body"></div>
+        <div id="mini-explorer-dice-graph" style="margin-top:6px"></div>
+        <div id="mini-explorer-sections"></div>
+        <div id="mini-explorer-debug" style="margin-top:6px;display:flex;flex-wrap:wrap;gap:4px;pointer-events:auto"></div>
+      </div>
     `
     document.documentElement.appendChild(root)
-    restoreOverlayPosition(root)
+    restoreOverlayLayout(root)
     enableDrag(root)
+    enableResize(root)
+    enableMinimize(root)
     injectOverlayStyles()
+    applySettings(root)
+    clampToViewport(root)
+    window.addEventListener('resize', () => clampToViewport(root))
   }
   overlayBodyEl = root.querySelector('#mini-explorer-body')
   diceGraphEl = root.querySelector('#mini-explorer-dice-graph')
@@ -50,7 +85,7 @@ function makeBtn (label, title, onClick) {
     border: '1px solid #555',
     borderRadius: '4px',
     padding: '2px 6px',
-    fontSize: '11px',
+    fontSize: '.85em',
     cursor: 'pointer'
   })
   b.addEventListener('click', e => {
@@ -71,7 +106,8 @@ function makeBtn (label, title, onClick) {
 }
 
 export function ensureDebugControls () {
-  const root = getOverlayBody()?.parentElement
+  getOverlayBody()
+  const root = overlayRoot
   if (!root) return
   const bar = root.querySelector('#mini-explorer-debug')
   if (!bar || bar.dataset.ready) return
@@ -99,9 +135,24 @@ export function ensureDebugControls () {
       () => api.clear && api.clear()
     )
   )
+  bar.appendChild(
+    makeBtn(
+      'Export',
+      'Download events + stats (JSON) and resource flows (CSV)',
+      () => api.exportGame && api.exportGame()
+    )
+  )
+  bar.appendChild(
+    makeBtn('Import', 'Load an exported game (JSON)', () =>
+      pickFile(
+        '.json,application/json',
+        text => api.importGame && api.importGame(text)
+      )
+    )
+  )
 }
 
-export function renderOverlay (playerEntries) {
+export function renderOverlay (playerEntries, meta = {}) {
   const body = getOverlayBody()
   // Normalize & cache entries (iterator may be one-use)
   let rows = []
@@ -127,62 +178,734 @@ export function renderOverlay (playerEntries) {
     { key: 'brick', label: ICONS.brick },
     { key: 'sheep', label: ICONS.sheep },
     { key: 'wheat', label: ICONS.wheat },
-    { key: 'ore', label: ICONS.ore }
+    { key: 'ore', label: ICONS.ore },
+    { key: 'unknown', label: ICONS.unknown, title: 'Cards of uncertain type' },
+    { key: 'army', label: ICONS.army, title: 'Knights played (army size)' },
+    { key: 'devcards', label: ICONS.devcards, title: 'Unplayed dev cards' },
+    { key: 'vp', label: ICONS.vp, title: 'Victory points (shown +hidden)' }
   ]
 
-  // Find max to highlight leader(s)
-  let maxTotal = 0
-  for (const [, r] of rows) maxTotal = Math.max(maxTotal, r.total || 0)
+  // Highlight leader(s) by estimated victory points (shown + expected hidden)
+  const vpOf = r => r.vp?.total || 0
+  rows = sortRows(rows, getSettings().sort, vpOf)
+  let maxVp = 0
+  for (const [, r] of rows) maxVp = Math.max(maxVp, vpOf(r))
 
   const tableRows = rows.map(([name, r]) => {
-    const isLeader = r.total === maxTotal && maxTotal > 0
-    return `<div class="mx-row${isLeader ? ' mx-leader' : ''}">
-      <div class="mx-cell mx-name" title="${name}">${escapeHtml(name)}</div>
-      <div class="mx-cell">${r.wood ?? 0}</div>
-      <div class="mx-cell">${r.brick ?? 0}</div>
-      <div class="mx-cell">${r.sheep ?? 0}</div>
-      <div class="mx-cell">${r.wheat ?? 0}</div>
-  <div class="mx-cell">${r.ore ?? 0}</div>
+    const isLeader = maxVp > 0 && Math.abs(vpOf(r) - maxVp) < 1e-9
+    // Player color (name / piece color from the log) as a bar by the name
+    const color = r.color ? ` style="--mx-player:${escapeHtml(r.color)}"` : ''
+    return `<div class="mx-row${isLeader ? ' mx-leader' : ''}${
+      r.local ? ' mx-local' : ''
+    }"${color}>
+      <div class="mx-cell mx-name" title="${escapeHtml(
+        r.local ? `${name} (you)` : name
+      )}">${escapeHtml(
+        name
+      )}${harborBadges(r.harbors)}${piecesLine(r.pieces, r.capped)}</div>
+      ${RESOURCE_KEYS.map(key => resourceCell(r, key)).join('')}
+      <div class="mx-cell mx-unknown">${r.unknown ?? 0}</div>
+      ${playsCell(r.plays)}
+      ${devCardCell(r.devcards)}
+      ${vpCell(r.vp)}
     </div>`
   })
 
   const headerRow = `<div class="mx-row mx-header">${headers
-    .map(h => `<div class="mx-cell mx-h">${h.label}</div>`)
+    .map(
+      h =>
+        `<div class="mx-cell mx-h"${
+          h.title ? ` title="${escapeHtml(h.title)}"` : ''
+        }>${h.label}</div>`
+    )
     .join('')}</div>`
 
   body.innerHTML = `
-    <div class="mx-table" role="table" aria-label="Player resources">
+    <div class="mx-table" role="table" aria-label="Player resources" style="--mx-cols:${
+      headers.length - 1
+    }">
       ${headerRow}
       ${tableRows.join('')}
-    </div>`
+    </div>${
+      typeof meta.deckRemaining === 'number'
+        ? `<div class="mx-meta">Dev deck: ${meta.deckRemaining} left</div>`
+        : ''
+    }`
+}
+
+// Player rows in the order picked in settings ('seen' keeps first-seen order)
+function sortRows (rows, order, vpOf) {
+  const sorted = [...rows]
+  if (order === 'name') sorted.sort(([a], [b]) => a.localeCompare(b))
+  if (order === 'vp') sorted.sort(([, a], [, b]) => vpOf(b) - vpOf(a))
+  if (order === 'cards') {
+    sorted.sort(([, a], [, b]) => (b.total || 0) - (a.total || 0))
+  }
+  return sorted
+}
+
+// Certain counts print plainly; uncertain ones as "min–max" with the
+// probability of each possible count in the tooltip.
+function resourceCell (r, key) {
+  const range = r.ranges?.[key]
+  if (!range || range.min === range.max) {
+    return `<div class="mx-cell">${r[key] ?? 0}</div>`
+  }
+  const tip = range.dist
+    .map(([n, p]) => `${n}: ${Math.round(p * 100)}%`)
+    .join('\n')
+  return `<div class="mx-cell mx-uncertain" title="${escapeHtml(tip)}">${
+    range.min
+  }–${range.max}</div>`
+}
+
+// Army size (knights played) with every dev card play in the tooltip
+function playsCell (plays) {
+  if (!plays) return '<div class="mx-cell">0</div>'
+  const tip = Object.entries(plays)
+    .filter(([, n]) => n > 0)
+    .map(([card, n]) => `${card.replace(/_/g, ' ')}: ${n}`)
+    .join('\n')
+  return `<div class="mx-cell" title="${escapeHtml(
+    tip || 'No dev cards played'
+  )}">${plays.knight || 0}</div>`
+}
+
+// Unplayed dev cards; tooltip breaks the estimate down by card type
+function devCardCell (est) {
+  if (!est) return '<div class="mx-cell">0</div>'
+  const pct = p => `${Math.round(p * 100)}%`
+  const lines = [
+    `Bought ${est.bought}, played ${est.played}`,
+    ...Object.entries(est.expected)
+      .filter(([, n]) => n > 0)
+      .map(([type, n]) => `${type.replace(/_/g, ' ')}: ~${n.toFixed(2)}`),
+    `P(holds VP): ${pct(est.vpChance)}`
+  ]
+  return `<div class="mx-cell" title="${escapeHtml(lines.join('\n'))}">${
+    est.unplayed
+  }</div>`
+}
+
+// Shown VP with expected hidden VP (unplayed dev cards) as a suffix
+function vpCell (vp) {
+  if (!vp) return '<div class="mx-cell">0</div>'
+  const lines = [
+    `Settlements: ${vp.settlements}`,
+    `Cities: ${vp.cities} (x2)`,
+    vp.longestRoad ? 'Longest Road: 2' : '',
+    vp.largestArmy ? 'Largest Army: 2' : '',
+    `Hidden (dev cards): ~${vp.hidden.toFixed(2)}`
+  ].filter(Boolean)
+  const hidden =
+    vp.hidden >= 0.05
+      ? `<span class="mx-vp-hidden">+${vp.hidden.toFixed(1)}</span>`
+      : ''
+  return `<div class="mx-cell mx-vp" title="${escapeHtml(lines.join('\n'))}">${
+    vp.shown
+  }${hidden}</div>`
+}
+
+// Remaining pieces under the player name; exhausted kinds are flagged
+function piecesLine (pieces, capped = []) {
+  if (!pieces) return ''
+  const KINDS = {
+    road: ['🛤️', 'Roads left'],
+    settlement: ['🏠', 'Settlements left'],
+    city: ['🏙️', 'Cities left']
+  }
+  const parts = Object.entries(pieces).map(([kind, n]) => {
+    const [icon, title] = KINDS[kind] || [kind, kind]
+    const cls = capped.includes(kind) ? ' class="mx-capped"' : ''
+    return `<span${cls} title="${title}">${icon}${n}</span>`
+  })
+  return `<div class="mx-pieces">${parts.join(' ')}</div>`
+}
+
+// Harbors inferred from bank trade ratios, e.g. "2:1 ore"
+function harborBadges (harbors) {
+  if (!harbors?.length) return ''
+  return harbors
+    .map(
+      h =>
+        `<span class="mx-badge" title="Must own harbor (bank trade ratio)">${escapeHtml(
+          h
+        )}</span>`
+    )
+    .join('')
 }
 
 // Render dice bar graph (2-12) with heights proportional to counts
 // counts: {2: n, ..., 12: n}
-export function renderDiceGraph (counts) {
+// summary (optional): { rolls, chiSquare, pValue, sevens, expectedSevens,
+//   sinceLastSeven } – adds expected-frequency markers and a fit readout
+export function renderDiceGraph (counts, summary) {
   if (!diceGraphEl || !document.contains(diceGraphEl)) getOverlayBody()
   if (!diceGraphEl) return
   const values = []
-  for (let i = 2; i <= 12; i++) values.push(counts?.[i] || 0)
-  const max = Math.max(1, ...values)
+  const expected = []
+  let rolls = 0
+  for (let i = 2; i <= 12; i++) {
+    values.push(counts?.[i] || 0)
+    rolls += counts?.[i] || 0
+  }
+  for (let i = 2; i <= 12; i++) {
+    expected.push((rolls * (6 - Math.abs(i - 7))) / 36)
+  }
+  const max = Math.max(1, ...values, ...expected)
   const barMaxPx = 48
   const barsHtml = values
     .map((v, idx) => {
       const label = idx + 2
       const h = v === 0 ? 2 : Math.max(4, Math.round((v / max) * barMaxPx))
       const opacity = v === 0 ? 0.25 : 0.85
+      const exp = expected[idx]
+      const marker = rolls
+        ? `<div class="mx-dice-exp" title="expected ~${exp.toFixed(
+            1
+          )}" style="bottom:${Math.round((exp / max) * barMaxPx)}px"></div>`
+        : ''
       return `<div style="display:flex;flex-direction:column;align-items:center;justify-content:flex-end;flex:1;min-width:14px;">
-        <div class="mx-dice-bar" data-tip="${v}" style="width:100%;background:linear-gradient(180deg,#4caf50,#2e7d32);height:${h}px;border-radius:3px 3px 0 0;opacity:${opacity};transition:height .25s ease,opacity .25s ease;position:relative;"></div>
-        <div style="font-size:10px;margin-top:2px;opacity:.8">${label}</div>
+        <div style="position:relative;width:100%;height:${barMaxPx}px;display:flex;align-items:flex-end;">
+          <div class="mx-dice-bar" data-tip="${v}" style="width:100%;background:linear-gradient(180deg,#4caf50,#2e7d32);height:${h}px;border-radius:3px 3px 0 0;opacity:${opacity};transition:height .25s ease,opacity .25s ease;position:relative;"></div>
+          ${marker}
+        </div>
+        <div style="font-size:.77em;margin-top:2px;opacity:.8">${label}</div>
       </div>`
     })
     .join('')
   diceGraphEl.innerHTML = `<div style="display:flex;align-items:flex-end;gap:4px;height:${
     barMaxPx + 18
-  }px;">${barsHtml}</div>`
+  }px;">${barsHtml}</div>${diceReadout(summary)}`
+}
+
+// "n=42 · χ² 8.1 (p 0.62) · 7s 5/7.0 · since 7: 3"
+function diceReadout (summary) {
+  if (!summary?.rolls) return ''
+  const parts = [`n=${summary.rolls}`]
+  if (summary.chiSquare != null) {
+    parts.push(
+      `χ² ${summary.chiSquare.toFixed(1)} (p ${summary.pValue.toFixed(2)})`
+    )
+  }
+  if (summary.expectedSevens != null) {
+    parts.push(`7s ${summary.sevens}/${summary.expectedSevens.toFixed(1)}`)
+  }
+  if (summary.sinceLastSeven != null) {
+    parts.push(`since 7: ${summary.sinceLastSeven}`)
+  }
+  return `<div class="mx-dice-readout" title="Chi-square vs. fair dice (10 df); small p = unlikely if fair. Longest run without a 7: ${
+    summary.longestWithoutSeven ?? 0
+  }">${parts.join(' · ')}</div>`
+}
+
+// Per-player dice fairness: rows of [player, { rolls, mean, chiSquare, pValue }]
+export function renderDiceStats (rows) {
+  const body = getSectionBody('dice-stats', 'Dice by player')
+  if (!body) return
+  if (!rows?.length) {
+    body.textContent = 'No rolls yet'
+    return
+  }
+  body.innerHTML = `<div class="mx-stats">${rows
+    .map(
+      ([player, st]) => `<div class="mx-stats-row">
+        <span class="mx-stats-name">${escapeHtml(player)}</span>
+        <span>${st.rolls} rolls</span>
+        <span>avg ${st.mean == null ? '–' : st.mean.toFixed(2)}</span>
+        <span title="Chi-square p-value vs. fair dice">p ${
+          st.pValue == null ? '–' : st.pValue.toFixed(2)
+        }</span>
+      </div>`
+    )
+    .join('')}</div>`
+}
+
+// Income per turn: expected (learned yields x dice odds) vs. actual per roll
+// data: { players: [[name, production]], shortages: string[] }
+export function renderProduction (data) {
+  const body = getSectionBody('production', 'Income per turn')
+  if (!body) return
+  const rows = data?.players || []
+  if (!rows.length) {
+    body.textContent = 'No production seen yet'
+    return
+  }
+  const ICONS = getResourceIcons()
+  const rowsHtml = rows
+    .map(([player, p]) => {
+      const diff = p.actualPerRoll - p.expectedPerRoll
+      const numbers = p.numbers
+        .map(
+          ([n, y]) =>
+            `${n}: ${Object.entries(y)
+              .filter(([, c]) => c > 0)
+              .map(([k, c]) => `${k} ${c}`)
+              .join(', ')}`
+        )
+        .join('\n')
+      const mix = Object.entries(p.expectedByResource)
+        .filter(([, v]) => v > 0)
+        .map(([k, v]) => `${ICONS[k] || k}${v.toFixed(2)}`)
+        .join(' ')
+      return `<div class="mx-stats-row mx-prod-row" title="${escapeHtml(
+        numbers || 'No yields learned'
+      )}">
+        <span class="mx-stats-name">${escapeHtml(player)}</span>
+        <span>exp ${p.expectedPerRoll.toFixed(2)}</span>
+        <span>act ${p.actualPerRoll.toFixed(2)}</span>
+        <span class="${diff >= 0 ? 'mx-pos' : 'mx-neg'}">${
+          diff >= 0 ? '+' : ''
+        }${diff.toFixed(2)}</span>
+      </div><div class="mx-prod-mix">${mix}</div>`
+    })
+    .join('')
+  const short = data.shortages?.length
+    ? `<div class="mx-shortage">Nobody produces: ${data.shortages
+        .map(k => `${ICONS[k] || ''} ${k}`)
+        .join(', ')}</div>`
+    : ''
+  body.innerHTML = `<div class="mx-stats">${rowsHtml}</div>${short}`
+}
+
+// --- Time-travel scrubber -------------------------------------------------
+// Slider over journal positions (events applied) plus step buttons.
+// handlers: { seek(position), step(kind) } where kind is one of
+// 'turn-back' | 'back' | 'forward' | 'turn-forward' | 'live'
+export function ensureScrubber (handlers) {
+  getOverlayBody()
+  const el = overlayRoot?.querySelector('#mini-explorer-scrubber')
+  if (!el || el.dataset.ready) return
+  el.dataset.ready = '1'
+  el.innerHTML = `
+    <div style="display:flex;align-items:center;gap:3px">
+      <input class="mx-scrub-range" type="range" min="0" max="0" value="0" style="flex:1;min-width:80px">
+    </div>
+    <div class="mx-scrub-label"></div>`
+  const row = el.firstElementChild
+  const range = /** @type {HTMLInputElement} */ (
+    el.querySelector('.mx-scrub-range')
+  )
+  // A seek refolds the journal: only on release, dragging just moves the label
+  const label = el.querySelector('.mx-scrub-label')
+  range.addEventListener('input', () => {
+    if (!label) return
+    label.textContent = `Event ${range.value}/${range.max} · release to view`
+  })
+  range.addEventListener('change', () => {
+    handlers.seek(parseInt(range.value, 10))
+  })
+  const buttons = [
+    ['⏮', 'Previous turn', 'turn-back'],
+    ['◀', 'Previous event', 'back'],
+    ['▶', 'Next event', 'forward'],
+    ['⏭', 'Next turn', 'turn-forward'],
+    ['Live', 'Back to the live view', 'live']
+  ]
+  for (const [label, title, kind] of buttons) {
+    const b = makeBtn(label, title, () => handlers.step(kind))
+    if (kind === 'back' || kind === 'turn-back') row?.insertBefore(b, range)
+    else row?.appendChild(b)
+  }
+}
+
+// view: { position, length, turn, live }
+export function renderScrubber (view) {
+  const el = overlayRoot?.querySelector('#mini-explorer-scrubber')
+  if (!el) return
+  const range = /** @type {HTMLInputElement | null} */ (
+    el.querySelector('.mx-scrub-range')
+  )
+  const label = el.querySelector('.mx-scrub-label')
+  if (range) {
+    range.max = String(view.length)
+    range.value = String(view.live ? view.length : view.position)
+  }
+  el.classList.toggle('mx-rewound', !view.live)
+  if (label) {
+    label.textContent = view.live
+      ? `Live · ${view.length} events`
+      : `Viewing event ${view.position}/${view.length} · ${
+          view.turn ? `turn ${view.turn}` : 'setup'
+        }`
+  }
+}
+
+// --- Collapsible sections -------------------------------------------------
+// Panels under the dice graph (timeline, ...) share one collapsible shell.
+// Sections start collapsed; open/closed state persists in localStorage.
+const SECTIONS_KEY = 'miniExplorerSections'
+
+function loadSectionState () {
+  try {
+    return JSON.parse(localStorage.getItem(SECTIONS_KEY) || '{}') || {}
+  } catch {
+    return {}
+  }
+}
+
+function saveSectionState (id, open) {
+  try {
+    const state = loadSectionState()
+    state[id] = open
+    localStorage.setItem(SECTIONS_KEY, JSON.stringify(state))
+  } catch {
+    /* ignore */
+  }
+}
+
+// Section element `id`, matched through dataset rather than a selector:
+// plugin ids may contain quotes or brackets
+function findSection (id) {
+  const host = overlayRoot?.querySelector('#mini-explorer-sections')
+  for (const el of host?.children || []) {
+    if (el instanceof HTMLElement && el.dataset.section === id) return el
+  }
+  return null
+}
+
+// Returns the body element of section `id`, creating the section on first use
+function getSectionBody (id, title) {
+  getOverlayBody()
+  const host = overlayRoot?.querySelector('#mini-explorer-sections')
+  if (!host) return null
+  let section = findSection(id)
+  if (!section) {
+    section = document.createElement('div')
+    section.className = 'mx-section'
+    section.dataset.section = id
+    const head = document.createElement('div')
+    head.className = 'mx-section-title'
+    head.textContent = title
+    const body = document.createElement('div')
+    body.className = 'mx-section-body'
+    section.append(head, body)
+    if (!loadSectionState()[id]) section.classList.add('mx-collapsed')
+    head.addEventListener('click', () => {
+      const open = section.classList.toggle('mx-collapsed') === false
+      saveSectionState(id, open)
+    })
+    host.appendChild(section)
+  }
+  return section.querySelector('.mx-section-body')
+}
+
+// Turn timeline: most recent turns first with what happened in each
+export function renderTimeline (turns) {
+  const body = getSectionBody('timeline', 'Timeline')
+  if (!body) return
+  if (!turns?.length) {
+    body.textContent = 'No turns yet'
+    return
+  }
+  body.innerHTML = turns
+    .map(t => {
+      const head = [
+        t.setup ? 'Setup' : `Turn ${t.index}`,
+        t.player ? escapeHtml(t.player) : '',
+        t.roll != null ? `🎲 ${t.roll}` : ''
+      ]
+        .filter(Boolean)
+        .join(' · ')
+      const entries = t.entries
+        .map(
+          e =>
+            `<div class="mx-turn-entry mx-evt-${escapeHtml(
+              e.type
+            )}">${escapeHtml(e.detail)}</div>`
+        )
+        .join('')
+      return `<div class="mx-turn"><div class="mx-turn-head">${head}</div>${entries}</div>`
+    })
+    .join('')
+}
+
+// Unparsed lines listed in the diagnostics section
+const DIAGNOSTIC_SAMPLES = 5
+
+// Parser coverage: per keyword parsed vs. missed candidate lines, plus the
+// latest lines no parser claimed with their image basenames
+export function renderDiagnostics (report) {
+  const body = getSectionBody('diagnostics', 'Diagnostics')
+  if (!body) return
+  if (!report?.lines) {
+    body.textContent = 'No candidate lines yet'
+    return
+  }
+  const keywords = report.keywords
+    .map(
+      k => `<div class="mx-stats-row${k.unmatched ? ' mx-diag-miss' : ''}">
+        <span class="mx-stats-name">${escapeHtml(k.keyword)}</span>
+        <span>${k.matched} ok</span>
+        <span>${k.unmatched} missed</span>
+        <span>${Math.round(k.rate * 100)}%</span>
+      </div>`
+    )
+    .join('')
+  const samples = report.samples
+    .slice(0, DIAGNOSTIC_SAMPLES)
+    .map(
+      u => `<div class="mx-diag-sample" title="${escapeHtml(
+        u.images.join(', ')
+      )}">${escapeHtml(u.text)}${
+        u.images.length
+          ? `<span class="mx-diag-imgs">${escapeHtml(u.images.join(' '))}</span>`
+          : ''
+      }</div>`
+    )
+    .join('')
+  body.innerHTML = `<div class="mx-meta">${report.matched}/${
+    report.lines
+  } candidate lines parsed</div>
+    <div class="mx-stats">${keywords}</div>${
+      samples ? `<div class="mx-diag-head">Unparsed</div>${samples}` : ''
+    }`
+}
+
+// --- Console panel ---------------------------------------------------------
+// Recent log entries (logger.js ring buffer) with level / category filters,
+// so logging can be followed and tuned without DevTools. Redrawn at most once
+// per frame while entries arrive.
+const CONSOLE_LINES = 80
+let consoleFrame = null
+
+export function ensureConsolePanel () {
+  const body = getSectionBody('console', 'Console')
+  if (!body || body.querySelector('.mx-console-log')) return
+  const controls = document.createElement('div')
+  controls.className = 'mx-console-controls'
+  const level = document.createElement('select')
+  level.className = 'mx-console-level'
+  level.title = 'Minimum log level'
+  for (const name of LOG_LEVELS) {
+    const option = document.createElement('option')
+    option.value = option.textContent = name
+    level.appendChild(option)
+  }
+  level.addEventListener('change', () => setLogLevel(level.value))
+  controls.appendChild(level)
+  for (const category of LOG_CATEGORIES) {
+    const label = document.createElement('label')
+    const box = document.createElement('input')
+    box.type = 'checkbox'
+    box.dataset.category = category
+    box.addEventListener('change', () => setLogCategory(category, box.checked))
+    label.append(box, category)
+    controls.appendChild(label)
+  }
+  controls.appendChild(
+    makeBtn('Clear', 'Clear the console panel', () => {
+      clearLogs()
+      renderConsolePanel()
+    })
+  )
+  const list = document.createElement('div')
+  list.className = 'mx-console-log'
+  body.append(controls, list)
+  onLogEntry(() => {
+    if (consoleFrame !== null) return
+    const nextFrame = window.requestAnimationFrame || (fn => setTimeout(fn, 16))
+    consoleFrame = nextFrame(() => {
+      consoleFrame = null
+      renderConsolePanel()
+    })
+  })
+  renderConsolePanel()
+}
+
+// Redraw the entries and sync the filter controls with the saved settings
+export function renderConsolePanel () {
+  const body = overlayRoot?.querySelector('[data-section="console"]')
+  const list = body?.querySelector('.mx-console-log')
+  if (!body || !list) return
+  const settings = logSettings()
+  const level = /** @type {HTMLSelectElement} */ (
+    body.querySelector('.mx-console-level')
+  )
+  if (level) level.value = settings.level
+  body.querySelectorAll('input[data-category]').forEach(box => {
+    const input = /** @type {HTMLInputElement} */ (box)
+    input.checked = settings.categories[input.dataset.category || ''] !== false
+  })
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4
+  list.innerHTML = recentLogs(CONSOLE_LINES)
+    .map(e => {
+      const time = new Date(e.ts).toTimeString().slice(0, 8)
+      return `<div class="mx-log mx-log-${e.level}"><span class="mx-log-meta">${time} ${
+        e.category
+      }</span> ${escapeHtml(e.text)}</div>`
+    })
+    .join('')
+  if (atBottom) list.scrollTop = list.scrollHeight
+}
+
+// --- Settings panel -------------------------------------------------------
+// Opened from the header's gear button; every change is saved (settings.js),
+// applied to the overlay and followed by onChange (a re-render, for sort order
+// and icons).
+
+const SETTING_TOGGLES = [
+  ['showTable', 'Table'],
+  ['showDice', 'Dice graph'],
+  ['showDebug', 'Debug sections']
+]
+
+export function ensureSettingsPanel ({ onChange = () => {} } = {}) {
+  getOverlayBody()
+  const root = overlayRoot
+  const panel = root?.querySelector('#mini-explorer-settings')
+  const header = root?.querySelector('#mini-explorer-header')
+  if (!panel || !header || panel.childElementCount) return
+  const update = patch => {
+    if (patch) updateSettings(patch)
+    else resetSettings()
+    applySettings(root)
+    renderSettingsPanel()
+    onChange()
+  }
+  const gear = makeBtn('⚙', 'Settings', () => {
+    panel.hidden = !panel.hidden
+  })
+  gear.className = 'mx-settings-toggle'
+  header.insertBefore(gear, header.querySelector('.mx-minimize'))
+
+  for (const [key, label] of SETTING_TOGGLES) {
+    const row = document.createElement('label')
+    const box = document.createElement('input')
+    box.type = 'checkbox'
+    box.dataset.setting = key
+    box.addEventListener('change', () => update({ [key]: box.checked }))
+    row.append(box, label)
+    panel.appendChild(row)
+  }
+  panel.append(
+    settingsSelect('icons', 'Icons', ICON_STYLES, update),
+    settingsSelect('sort', 'Sort', SORT_ORDERS, update),
+    settingsRange('fontSize', 'Font size', FONT_SIZE_RANGE, 1, update),
+    settingsRange('opacity', 'Opacity', OPACITY_RANGE, 0.05, update),
+    makeBtn('Reset', 'Restore the default settings', () => update(null))
+  )
+  renderSettingsPanel()
+}
+
+function settingsSelect (key, label, choices, update) {
+  const row = document.createElement('label')
+  const select = document.createElement('select')
+  select.dataset.setting = key
+  for (const [value, text] of Object.entries(choices)) {
+    const option = document.createElement('option')
+    option.value = value
+    option.textContent = text
+    select.appendChild(option)
+  }
+  select.addEventListener('change', () => update({ [key]: select.value }))
+  row.append(label, select)
+  return row
+}
+
+function settingsRange (key, label, [min, max], step, update) {
+  const row = document.createElement('label')
+  const range = document.createElement('input')
+  range.type = 'range'
+  range.dataset.setting = key
+  range.min = String(min)
+  range.max = String(max)
+  range.step = String(step)
+  range.addEventListener('input', () => update({ [key]: +range.value }))
+  row.append(label, range)
+  return row
+}
+
+// Sync the panel's controls with the saved settings
+function renderSettingsPanel () {
+  const panel = overlayRoot?.querySelector('#mini-explorer-settings')
+  if (!panel) return
+  const settings = getSettings()
+  panel.querySelectorAll('[data-setting]').forEach(el => {
+    const input = /** @type {HTMLInputElement} */ (el)
+    const value = settings[input.dataset.setting || '']
+    if (input.type === 'checkbox') input.checked = !!value
+    else input.value = String(value)
+  })
+}
+
+// Font size, background opacity and hidden parts of the overlay
+function applySettings (root) {
+  const settings = getSettings()
+  root.style.fontSize = `${settings.fontSize}px`
+  root.style.background = `rgba(20,20,20,${settings.opacity})`
+  root.classList.toggle('mx-hide-table', !settings.showTable)
+  root.classList.toggle('mx-hide-dice', !settings.showDice)
+  root.classList.toggle('mx-hide-debug', !settings.showDebug)
+}
+
+// --- Plugin sections ------------------------------------------------------
+// Extra collapsible sections registered at runtime. `render(body, view)` is
+// called on every overlay render with the section body and the tracker view.
+/** @type {Map<string, { title: string, render: (body: Element, view: any) => void }>} */
+const customSections = new Map()
+
+export function addSection (id, title, render) {
+  customSections.set(`plugin-${id}`, { title, render })
+}
+
+export function removeSection (id) {
+  customSections.delete(`plugin-${id}`)
+  findSection(`plugin-${id}`)?.remove()
+}
+
+function renderCustomSections (view) {
+  for (const [id, section] of customSections) {
+    const body = getSectionBody(id, section.title)
+    if (!body) continue
+    try {
+      section.render(body, view)
+    } catch (e) {
+      warn('section', id, 'failed to render:', e)
+    }
+  }
+}
+
+// Renderer for createExplorer (core.js): draws a tracker's view model into
+// the #mini-explorer overlay.
+// view: { rows, meta, dice, diceSummary, diceRows, production, turns }
+export function createOverlayRenderer () {
+  return {
+    render (view) {
+      renderOverlay(view.rows, view.meta)
+      renderDiceGraph(view.dice, view.diceSummary)
+      renderDiceStats(view.diceRows)
+      renderProduction(view.production)
+      renderTimeline(view.turns)
+      renderDiagnostics(view.coverage)
+      renderCustomSections(view)
+    },
+    renderScrubber
+  }
+}
+
+// --- Layout: drag, snap, resize, minimize ---------------------------------
+// Position, size and the minimized flag are saved together under
+// miniExplorerPos. A panel dropped near a screen edge snaps to it and stays
+// anchored there (right / bottom edges included) as the window resizes; on
+// resize it is also pulled back into the viewport.
+
+const LAYOUT_KEY = 'miniExplorerPos'
+// Gap kept between the panel and the viewport edges
+const EDGE_PAD = 4
+// Drop distance (px) from an edge that snaps to it
+const SNAP_PX = 24
+const MIN_WIDTH = 180
+const MIN_HEIGHT = 80
+
+// Anchor at the current top-left corner (drag / resize work in left + top)
+function pinTopLeft (root, rect) {
+  root.style.left = rect.left + 'px'
+  root.style.top = rect.top + 'px'
+  root.style.right = ''
+  root.style.bottom = ''
 }
 
-// --- Drag + position persistence -----------------------------------------
 function enableDrag (root) {
   const header = root.querySelector('#mini-explorer-header')
   if (!header || header.dataset.dragReady) return
@@ -194,17 +917,15 @@ function enableDrag (root) {
   let originTop = 0
   function onPointerDown (e) {
     if (e.button !== 0) return
+    // Header buttons (settings, ...) are not drag handles
+    if (e.target instanceof Element && e.target.closest('button')) return
     dragging = true
     const rect = root.getBoundingClientRect()
-    if (root.style.right) {
-      root.style.left = rect.left + 'px'
-      root.style.top = rect.top + 'px'
-      root.style.right = ''
-    }
+    pinTopLeft(root, rect)
     startX = e.clientX
     startY = e.clientY
-    originLeft = parseFloat(root.style.left || rect.left)
-    originTop = parseFloat(root.style.top || rect.top)
+    originLeft = rect.left
+    originTop = rect.top
     document.addEventListener('pointermove', onPointerMove)
     document.addEventListener('pointerup', onPointerUp, { once: true })
   }
@@ -212,80 +933,371 @@ function enableDrag (root) {
     if (!dragging) return
     const dx = e.clientX - startX
     const dy = e.clientY - startY
-    const pad = 4
     const w = root.offsetWidth
     const h = root.offsetHeight
     const vw = window.innerWidth
     const vh = window.innerHeight
     let nextLeft = originLeft + dx
     let nextTop = originTop + dy
-    nextLeft = Math.min(Math.max(pad, nextLeft), vw - w - pad)
-    nextTop = Math.min(Math.max(pad, nextTop), vh - h - pad)
+    nextLeft = Math.min(Math.max(EDGE_PAD, nextLeft), vw - w - EDGE_PAD)
+    nextTop = Math.min(Math.max(EDGE_PAD, nextTop), vh - h - EDGE_PAD)
     root.style.left = nextLeft + 'px'
     root.style.top = nextTop + 'px'
   }
   function onPointerUp () {
     dragging = false
     document.removeEventListener('pointermove', onPointerMove)
-    persistOverlayPosition(root)
+    snapToEdges(root)
+    persistOverlayLayout(root)
   }
   header.addEventListener('pointerdown', onPointerDown)
 }
 
-function persistOverlayPosition (root) {
+// Snap to any viewport edge within SNAP_PX; right / bottom edges become the
+// anchor so the panel follows them when the window resizes
+function snapToEdges (root) {
+  const rect = root.getBoundingClientRect()
+  const vw = window.innerWidth
+  const vh = window.innerHeight
+  if (rect.left - EDGE_PAD <= SNAP_PX) {
+    root.style.left = EDGE_PAD + 'px'
+  } else if (vw - rect.right - EDGE_PAD <= SNAP_PX) {
+    root.style.left = ''
+    root.style.right = EDGE_PAD + 'px'
+  }
+  if (rect.top - EDGE_PAD <= SNAP_PX) {
+    root.style.top = EDGE_PAD + 'px'
+  } else if (vh - rect.bottom - EDGE_PAD <= SNAP_PX) {
+    root.style.top = ''
+    root.style.bottom = EDGE_PAD + 'px'
+  }
+}
+
+// Move the panel back inside the viewport (top-left wins if it can't fit).
+// Not saved: the stored spot comes back once the window is large again.
+function clampToViewport (root) {
+  if (root.hidden) return
+  const rect = root.getBoundingClientRect()
+  const maxLeft = window.innerWidth - rect.width - EDGE_PAD
+  const maxTop = window.innerHeight - rect.height - EDGE_PAD
+  const left = Math.max(EDGE_PAD, Math.min(rect.left, maxLeft))
+  const top = Math.max(EDGE_PAD, Math.min(rect.top, maxTop))
+  if (left !== rect.left) {
+    root.style.left = left + 'px'
+    root.style.right = ''
+  }
+  if (top !== rect.top) {
+    root.style.top = top + 'px'
+    root.style.bottom = ''
+  }
+}
+
+// Bottom-right corner handle; the content area scrolls once the panel is
+// smaller than it
+function enableResize (root) {
+  if (root.querySelector('.mx-resize')) return
+  const handle = document.createElement('div')
+  handle.className = 'mx-resize'
+  handle.title = 'Resize'
+  root.appendChild(handle)
+  let start = null
+  function onPointerDown (e) {
+    if (e.button !== 0) return
+    e.preventDefault()
+    e.stopPropagation()
+    const rect = root.getBoundingClientRect()
+    pinTopLeft(root, rect)
+    start = { x: e.clientX, y: e.clientY, rect }
+    document.addEventListener('pointermove', onPointerMove)
+    document.addEventListener('pointerup', onPointerUp, { once: true })
+  }
+  function onPointerMove (e) {
+    if (!start) return
+    const { x, y, rect } = start
+    const maxWidth = window.innerWidth - rect.left - EDGE_PAD
+    const maxHeight = window.innerHeight - rect.top - EDGE_PAD
+    const width = Math.min(
+      Math.max(MIN_WIDTH, rect.width + e.clientX - x),
+      maxWidth
+    )
+    const height = Math.min(
+      Math.max(MIN_HEIGHT, rect.height + e.clientY - y),
+      maxHeight
+    )
+    root.style.maxWidth = 'none'
+    root.style.width = width + 'px'
+    root.style.height = height + 'px'
+  }
+  function onPointerUp () {
+    start = null
+    document.removeEventListener('pointermove', onPointerMove)
+    snapToEdges(root)
+    persistOverlayLayout(root)
+  }
+  handle.addEventListener('pointerdown', onPointerDown)
+}
+
+// Header button folding the panel into a small draggable badge
+function enableMinimize (root) {
+  const header = root.querySelector('#mini-explorer-header')
+  if (!header || header.querySelector('.mx-minimize')) return
+  const button = makeBtn('–', 'Minimize', () =>
+    setMinimized(root, !root.classList.contains('mx-minimized'))
+  )
+  button.classList.add('mx-minimize')
+  header.appendChild(button)
+  syncMinimizeButton(root)
+}
+
+function setMinimized (root, minimized) {
+  root.classList.toggle('mx-minimized', minimized)
+  syncMinimizeButton(root)
+  clampToViewport(root)
+  persistOverlayLayout(root)
+}
+
+function syncMinimizeButton (root) {
+  const button = root.querySelector('.mx-minimize')
+  if (!button) return
+  const minimized = root.classList.contains('mx-minimized')
+  button.textContent = minimized ? '▢' : '–'
+  button.title = minimized ? 'Expand' : 'Minimize'
+}
+
+function persistOverlayLayout (root) {
   try {
-    const { top, left } = root.style
-    if (top && left) {
-      localStorage.setItem('miniExplorerPos', JSON.stringify({ top, left }))
-    }
+    const { top, left, right, bottom, width, height } = root.style
+    localStorage.setItem(
+      LAYOUT_KEY,
+      JSON.stringify({
+        top,
+        left,
+        right,
+        bottom,
+        width,
+        height,
+        minimized: root.classList.contains('mx-minimized')
+      })
+    )
   } catch {
     /* ignore */
   }
 }
 
-function restoreOverlayPosition (root) {
+// Accepts the older { top, left } entries as well
+function restoreOverlayLayout (root) {
   try {
-    const raw = localStorage.getItem('miniExplorerPos')
+    const raw = localStorage.getItem(LAYOUT_KEY)
     if (!raw) return
-    const { top, left } = JSON.parse(raw)
-    if (top && left) {
-      root.style.top = top
-      root.style.left = left
-      root.style.right = ''
+    const saved = JSON.parse(raw)
+    if ((saved.top || saved.bottom) && (saved.left || saved.right)) {
+      for (const key of ['top', 'left', 'right', 'bottom']) {
+        root.style[key] = typeof saved[key] === 'string' ? saved[key] : ''
+      }
     }
+    if (saved.width) {
+      root.style.maxWidth = 'none'
+      root.style.width = saved.width
+    }
+    if (saved.height) root.style.height = saved.height
+    root.classList.toggle('mx-minimized', saved.minimized === true)
   } catch {
     /* ignore */
   }
 }
 
+// --- Keyboard shortcuts ---------------------------------------------------
+// Alt+Shift+<key> anywhere on the page (except while typing in a field)
+const SHORTCUTS = {
+  KeyM: 'toggle',
+  KeyS: 'sections',
+  KeyD: 'dump',
+  KeyC: 'clear'
+}
+
+export function ensureShortcuts () {
+  const root = overlayRoot || (getOverlayBody(), overlayRoot)
+  if (!root || root.dataset.shortcuts) return
+  root.dataset.shortcuts = '1'
+  const api = window.__miniExplorer || {}
+  const actions = {
+    toggle: () => {
+      root.hidden = !root.hidden
+      clampToViewport(root)
+    },
+    sections: () => cycleSections(root),
+    dump: () => api.dump && api.dump(),
+    // Clearing also forgets the saved game: a stray chord must not do that
+    clear: () => {
+      if (!api.clear) return
+      if (confirm('Clear all tallies and forget the saved game?')) api.clear()
+    }
+  }
+  window.addEventListener(
+    'keydown',
+    e => {
+      if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return
+      const action = SHORTCUTS[e.code]
+      if (!action) return
+      const target = e.target instanceof Element ? e.target : null
+      if (target?.closest('input, textarea, select, [contenteditable]')) return
+      e.preventDefault()
+      e.stopPropagation()
+      try {
+        actions[action]()
+      } catch (err) {
+        warn('shortcut', action, 'failed:', err)
+      }
+    },
+    true
+  )
+}
+
+// Open the next visible section and collapse the rest; after the last one
+// all are collapsed. Brings a hidden or minimized panel back first.
+function cycleSections (root) {
+  root.hidden = false
+  if (root.classList.contains('mx-minimized')) setMinimized(root, false)
+  const sections = [
+    ...root.querySelectorAll('#mini-explorer-sections .mx-section')
+  ].filter(s => window.getComputedStyle(s).display !== 'none')
+  const open = sections.findIndex(s => !s.classList.contains('mx-collapsed'))
+  const next = sections[open + 1]
+  for (const section of sections) {
+    const id = /** @type {HTMLElement} */ (section).dataset.section || ''
+    section.classList.toggle('mx-collapsed', section !== next)
+    saveSectionState(id, section === next)
+  }
+}
+
 // --- Styles / helpers -----------------------------------------------------
 function injectOverlayStyles () {
   if (document.getElementById('mini-explorer-styles')) return
   const style = document.createElement('style')
   style.id = 'mini-explorer-styles'
   style.textContent = `
+    #mini-explorer { display:flex; flex-direction:column; box-sizing:border-box; max-height:calc(100vh - ${
+      2 * EDGE_PAD
+    }px); }
+    #mini-explorer[hidden] { display:none; }
+    #mini-explorer #mini-explorer-content { flex:1 1 auto; min-height:0; overflow:auto; }
+    #mini-explorer .mx-title-short { display:none; }
+    #mini-explorer .mx-resize { position:absolute; right:0; bottom:0; width:12px; height:12px; cursor:nwse-resize; border-radius:0 0 10px 0; background:linear-gradient(135deg, transparent 50%, rgba(255,255,255,0.35) 50%); }
+    #mini-explorer.mx-minimized { width:auto !important; height:auto !important; padding:4px 8px !important; border-radius:14px !important; }
+    #mini-explorer.mx-minimized > :not(#mini-explorer-header),
+    #mini-explorer.mx-minimized .mx-title,
+    #mini-explorer.mx-minimized .mx-settings-toggle { display:none; }
+    #mini-explorer.mx-minimized .mx-title-short { display:inline; }
+    #mini-explorer.mx-minimized #mini-explorer-header { margin-bottom:0 !important; }
     #mini-explorer .mx-table { display:flex; flex-direction:column; gap:2px; }
-  #mini-explorer .mx-row { display:grid; grid-template-columns: 1fr repeat(5, 34px); align-items:stretch; }
-    #mini-explorer .mx-header { font-weight:600; font-size:12px; opacity:.85; }
+    #mini-explorer.mx-hide-table #mini-explorer-body,
+    #mini-explorer.mx-hide-dice #mini-explorer-dice-graph,
+    #mini-explorer.mx-hide-debug #mini-explorer-debug,
+    #mini-explorer.mx-hide-debug [data-section="console"],
+    #mini-explorer.mx-hide-debug [data-section="diagnostics"] { display:none; }
+    #mini-explorer #mini-explorer-settings:not([hidden]) { display:grid; grid-template-columns:1fr 1fr; gap:4px 8px; margin-bottom:6px; padding:6px; border-radius:6px; background:rgba(255,255,255,0.06); font-size:.85em; }
+    #mini-explorer #mini-explorer-settings label { display:flex; align-items:center; gap:4px; cursor:pointer; }
+    #mini-explorer #mini-explorer-settings input[type=range] { flex:1; min-width:0; }
+    #mini-explorer .mx-icon { width:1.2em; height:1.2em; object-fit:contain; vertical-align:middle; }
+  #mini-explorer .mx-row { display:grid; grid-template-columns: 1fr repeat(var(--mx-cols, 6), 34px); align-items:stretch; }
+    #mini-explorer .mx-header { font-weight:600; font-size:.92em; opacity:.85; }
     #mini-explorer .mx-cell { padding:3px 4px; text-align:center; font-variant-numeric:tabular-nums; }
     #mini-explorer .mx-name { text-align:left; padding-left:6px; max-width:140px; overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
     #mini-explorer .mx-row:not(.mx-header):hover { background:rgba(255,255,255,0.06); }
+    #mini-explorer .mx-row[style] .mx-name { box-shadow:inset 3px 0 0 var(--mx-player); }
+    #mini-explorer .mx-row.mx-local .mx-name { font-weight:600; }
     #mini-explorer .mx-row.mx-leader { background:linear-gradient(90deg,rgba(255,215,0,0.18),rgba(255,215,0,0)); }
     #mini-explorer .mx-h { filter:brightness(1.1); }
-  #mini-explorer .mx-dice-bar:hover::after { content: attr(data-tip); position:absolute; left:50%; top:-4px; transform:translate(-50%, -100%); background:rgba(0,0,0,0.85); color:#fff; padding:2px 5px; font-size:10px; line-height:1; border-radius:4px; pointer-events:none; white-space:nowrap; box-shadow:0 2px 6px rgba(0,0,0,.4); }
+    #mini-explorer .mx-unknown { opacity:.75; }
+    #mini-explorer .mx-badge { display:inline-block; margin-left:4px; padding:0 4px; font-size:.7em; line-height:14px; border-radius:3px; background:rgba(79,195,247,0.25); color:#b3e5fc; vertical-align:middle; }
+    #mini-explorer .mx-vp { font-weight:600; white-space:nowrap; }
+    #mini-explorer .mx-vp-hidden { font-size:.7em; font-weight:400; opacity:.7; margin-left:1px; }
+    #mini-explorer .mx-pieces { font-size:.77em; opacity:.7; font-weight:400; }
+    #mini-explorer .mx-capped { color:#ff8a80; font-weight:600; }
+    #mini-explorer .mx-section { margin-top:6px; border-top:1px solid rgba(255,255,255,0.12); padding-top:4px; }
+    #mini-explorer .mx-section-title { font-size:.92em; font-weight:600; cursor:pointer; opacity:.85; }
+    #mini-explorer .mx-section-title::before { content:'▾ '; }
+    #mini-explorer .mx-section.mx-collapsed .mx-section-title::before { content:'▸ '; }
+    #mini-explorer .mx-section.mx-collapsed .mx-section-body { display:none; }
+    #mini-explorer .mx-section-body { max-height:200px; overflow:auto; margin-top:4px; font-size:.85em; }
+    #mini-explorer .mx-turn { margin-bottom:4px; }
+    #mini-explorer .mx-turn-head { font-weight:600; opacity:.9; }
+    #mini-explorer .mx-turn-entry { padding-left:8px; opacity:.8; }
+    #mini-explorer .mx-evt-steal, #mini-explorer .mx-evt-monopoly { color:#ff8a80; }
+    #mini-explorer .mx-evt-build, #mini-explorer .mx-evt-placed { color:#a5d6a7; }
+    #mini-explorer .mx-evt-trade, #mini-explorer .mx-evt-bank_trade { color:#81d4fa; }
+    #mini-explorer .mx-dice-exp { position:absolute; left:-1px; right:-1px; height:0; border-top:2px dashed rgba(255,235,59,0.8); pointer-events:auto; }
+    #mini-explorer .mx-dice-readout { font-size:.77em; opacity:.75; margin-top:2px; cursor:help; }
+    #mini-explorer .mx-stats-row { display:grid; grid-template-columns: 1fr auto auto auto; gap:6px; }
+    #mini-explorer .mx-stats-name { overflow:hidden; text-overflow:ellipsis; white-space:nowrap; }
+    #mini-explorer .mx-prod-row { cursor:help; }
+    #mini-explorer .mx-console-controls { display:flex; flex-wrap:wrap; align-items:center; gap:4px 8px; margin-bottom:4px; }
+    #mini-explorer .mx-console-controls label { display:flex; align-items:center; gap:2px; cursor:pointer; }
+    #mini-explorer .mx-console-log { font-family:ui-monospace,monospace; font-size:.77em; max-height:160px; overflow:auto; }
+    #mini-explorer .mx-log { white-space:pre-wrap; word-break:break-word; }
+    #mini-explorer .mx-log-meta { opacity:.6; }
+    #mini-explorer .mx-log-debug { opacity:.65; }
+    #mini-explorer .mx-log-warn { color:#ffd479; }
+    #mini-explorer .mx-log-error { color:#ff8a80; }
+    #mini-explorer .mx-diag-miss { color:#ffb4a8; }
+    #mini-explorer .mx-diag-head { margin-top:4px; font-weight:600; opacity:.9; }
+    #mini-explorer .mx-diag-sample { padding-left:8px; opacity:.8; word-break:break-word; }
+    #mini-explorer .mx-diag-imgs { display:block; font-size:.77em; opacity:.7; }
+    #mini-explorer .mx-prod-mix { padding-left:8px; font-size:.77em; opacity:.7; }
+    #mini-explorer .mx-pos { color:#a5d6a7; }
+    #mini-explorer .mx-neg { color:#ff8a80; }
+    #mini-explorer .mx-shortage { margin-top:4px; color:#ffd54f; }
+    #mini-explorer .mx-scrub-label { font-size:.77em; opacity:.7; margin-top:2px; }
+    #mini-explorer #mini-explorer-scrubber.mx-rewound .mx-scrub-label { color:#ffd54f; opacity:1; }
+    #mini-explorer .mx-meta { margin-top:4px; font-size:.85em; opacity:.7; }
+    #mini-explorer .mx-uncertain { color:#ffd54f; font-size:.85em; cursor:help; }
+  #mini-explorer .mx-dice-bar:hover::after { content: attr(data-tip); position:absolute; left:50%; top:-4px; transform:translate(-50%, -100%); background:rgba(0,0,0,0.85); color:#fff; padding:2px 5px; font-size:.77em; line-height:1; border-radius:4px; pointer-events:none; white-space:nowrap; box-shadow:0 2px 6px rgba(0,0,0,.4); }
   #mini-explorer .mx-dice-bar:hover::before { content:''; position:absolute; left:50%; top:-4px; transform:translate(-50%, -100%); border:5px solid transparent; border-top-color:rgba(0,0,0,0.85); margin-top:4px; }
   `
   document.head.appendChild(style)
 }
 
+// Card art URLs seen in the game log, by resource (see getResourceIcons)
+const cardArt = new Map()
+
+// Find the game's own card images (hashed URLs) among the page's images
+function learnCardArt () {
+  if (cardArt.size === RESOURCE_KEYS.length) return
+  for (const img of document.images) {
+    if (img.closest('#mini-explorer')) continue
+    const src = img.currentSrc || img.src || ''
+    for (const key of RESOURCE_KEYS) {
+      if (!cardArt.has(key) && IMAGE_HINTS[key].test(src)) {
+        cardArt.set(key, src)
+      }
+    }
+  }
+}
+
+// Column / inline icons (HTML). With the card art setting, resources use the
+// game's card images once seen in the log; emoji until then.
 function getResourceIcons () {
+  const icons = emojiIcons()
+  if (getSettings().icons !== 'art') return icons
+  learnCardArt()
+  for (const [key, src] of cardArt) {
+    icons[key] = `<img class="mx-icon" src="${escapeHtml(src)}" alt="${key}">`
+  }
+  return icons
+}
+
+function emojiIcons () {
   // Chosen for clarity & quick visual parse; adjust if you prefer originals
   return {
     wood: '🌲', // alternative: 🪵
     brick: '🧱',
     sheep: '🐑',
     wheat: '🌾',
-    ore: '🪨' // alternative: ⛏️ / ⛰️
+    ore: '🪨', // alternative: ⛏️ / ⛰️
+    unknown: '❔',
+    army: '⚔️',
+    devcards: '🃏',
+    vp: '🏆'
   }
 }
 
@@ -0,0 +1,83 @@
+// Overlay preferences
+// -------------------
+// Per-browser display settings for the overlay, saved in localStorage beside
+// the overlay position (miniExplorerPos). Values are sanitized on load and on
+// every update, so a hand-edited or outdated entry can't break rendering.
+
+const SETTINGS_KEY = 'miniExplorerSettings'
+
+// Player table orders (value -> label in the settings panel)
+export const SORT_ORDERS = {
+  seen: 'First seen',
+  name: 'Name',
+  vp: 'Victory points',
+  cards: 'Cards in hand'
+}
+
+// Header / column icons: emoji or the card art found in the game log
+export const ICON_STYLES = {
+  emoji: 'Emoji',
+  art: 'Card art'
+}
+
+export const FONT_SIZE_RANGE = [10, 18]
+export const OPACITY_RANGE = [0.3, 1]
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  showTable: true,
+  showDice: true,
+  showDebug: true,
+  icons: 'emoji',
+  fontSize: 13,
+  opacity: 0.85,
+  sort: 'seen'
+})
+
+/** @type {typeof DEFAULT_SETTINGS | null} */
+let current = null
+
+const clamp = (v, [min, max]) => Math.min(max, Math.max(min, v))
+
+function sanitize (raw) {
+  const s = { ...DEFAULT_SETTINGS }
+  for (const key of ['showTable', 'showDice', 'showDebug']) {
+    if (typeof raw?.[key] === 'boolean') s[key] = raw[key]
+  }
+  if (Object.hasOwn(ICON_STYLES, raw?.icons)) s.icons = raw.icons
+  if (Object.hasOwn(SORT_ORDERS, raw?.sort)) s.sort = raw.sort
+  if (Number.isFinite(raw?.fontSize)) {
+    s.fontSize = Math.round(clamp(raw.fontSize, FONT_SIZE_RANGE))
+  }
+  if (Number.isFinite(raw?.opacity)) {
+    s.opacity = clamp(raw.opacity, OPACITY_RANGE)
+  }
+  return s
+}
+
+export function getSettings () {
+  if (!current) {
+    let saved = null
+    try {
+      saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null')
+    } catch {
+      /* ignore */
+    }
+    current = sanitize(saved)
+  }
+  return current
+}
+
+// Merge `patch` into the settings and save them; returns the new settings
+export function updateSettings (patch) {
+  current = sanitize({ ...getSettings(), ...patch })
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(current))
+  } catch {
+    /* ignore */
+  }
+  return current
+}
+
+export function resetSettings () {
+  return updateSettings(DEFAULT_SETTINGS)
+}